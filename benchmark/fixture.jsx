@@ -0,0 +1,39 @@
+// the shape of a generated file: deeply nested markup, translated and
+// technical strings mixed with text still to translate
+export function Page__ID__({ user, items }) {
+  const status = user.active ? 'Active' : 'Inactive';
+  const styles = { color: 'red', margin: '0 auto', title: 'Page title' };
+  console.log('rendering page', user.id);
+
+  return (
+    <Layout className="page page-__ID__" data-testid="page-__ID__">
+      <Header title={t('page.title')} subtitle="Welcome to the page">
+        <Trans i18nKey="page.greeting">
+          Hello <strong>{user.name}</strong>, you have {items.length} items
+        </Trans>
+      </Header>
+      <section className="content">
+        <ul className="list">
+          {items.map(item => (
+            <li key={item.id} className={classNames('item', { active: item.active })}>
+              <span title={`${item.label} (${item.count})`}>{item.label}</span>
+              <button type="button" aria-label="Remove item" onClick={() => remove(item.id, 'remove')}>
+                {t('item.remove', { defaultValue: 'Remove' })}
+              </button>
+              <div className="details">
+                <p>
+                  <em>
+                    <small>Last changed {item.changed}</small>
+                  </em>
+                </p>
+              </div>
+            </li>
+          ))}
+        </ul>
+        <footer style={styles}>
+          {status === 'Active' ? 'Your account is active' : t('account.inactive')}
+        </footer>
+      </section>
+    </Layout>
+  );
+}
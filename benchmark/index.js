@@ -0,0 +1,61 @@
+/**
+ * @fileoverview time no-literal-string on a large generated file
+ * @author edvardchen
+ *
+ * Usage: node benchmark [copies] [depth] [runs]
+ *
+ * The file is made of `copies` copies of fixture.jsx followed by markup
+ * nested `depth` levels deep, the shape which makes ancestor walks costly.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Linter = require('eslint').Linter;
+const rule = require('../lib/rules/no-literal-string');
+
+const [copies = 200, depth = 500, runs = 5] = process.argv.slice(2).map(Number);
+
+function generate() {
+  const fixture = fs.readFileSync(path.join(__dirname, 'fixture.jsx'), 'utf8');
+  const pages = [];
+  for (let i = 0; i < copies; i++) {
+    pages.push(fixture.replace(/__ID__/g, i));
+  }
+
+  let markup = '';
+  for (let i = depth - 1; i >= 0; i--) {
+    markup = `<div className="level-${i}" title="Level ${i}">Text at level ${i}${markup}</div>`;
+  }
+  pages.push(`export const Nested = () => ${markup || 'null'};`);
+
+  return pages.join('\n');
+}
+
+const code = generate();
+const linter = new Linter();
+linter.defineRule('no-literal-string', rule);
+const config = {
+  parser: 'babel-eslint',
+  parserOptions: { sourceType: 'module', ecmaFeatures: { jsx: true } },
+  rules: { 'no-literal-string': 2 }
+};
+// parsing is not what is measured
+const fatal = linter.verify(code, config).find(message => message.fatal);
+if (fatal) throw new Error(`Failed to parse the benchmark: ${fatal.message}`);
+const sourceCode = linter.getSourceCode();
+
+const times = [];
+let messages;
+for (let i = 0; i < runs; i++) {
+  const start = process.hrtime();
+  messages = linter.verify(sourceCode, config);
+  const [seconds, nanoseconds] = process.hrtime(start);
+  times.push(seconds * 1e3 + nanoseconds / 1e6);
+}
+times.sort((a, b) => a - b);
+
+console.log(
+  `${code.split('\n').length} lines, ${messages.length} reports, ` +
+    `median of ${runs} runs: ${times[Math.floor(runs / 2)].toFixed(1)}ms`
+);
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview command line interface of eslint-plugin-i18next
+ * @author edvardchen
+ */
+'use strict';
+
+const { extract } = require('../lib/extract');
+const { writeBaseline } = require('../lib/write-baseline');
+const { writeCoverage } = require('../lib/write-coverage');
+const { FORMATS } = require('../lib/coverage');
+const { KEY_STRATEGIES } = require('../lib/keygen');
+
+const USAGE = `Usage: eslint-plugin-i18next <command> [options] <file|dir|glob>...
+
+Commands:
+  extract    write the literals reported by no-literal-string into an i18next catalog
+  baseline   record the literals reported by no-literal-string, for its baseline option
+  coverage   write the translation coverage of the files, failing if it dropped
+
+Options:
+  -o, --output <file>         catalog to merge into (default: locales/en/translation.json),
+                              baseline to write (default: i18next-baseline.json)
+                              or coverage report to write (default: coverage.json)
+  --key-strategy <strategy>   ${KEY_STRATEGIES.join(', ')} (default: path)
+  --key-root <dir>            directory file paths are relative to (default: .)
+  --key-separator <sep>       separator of nested keys, "false" for flat keys
+                              (default: ., false with the literal key strategy)
+  --ext <extensions>          comma separated extensions to lint (default: .js,.jsx,.ts,.tsx,.vue)
+  --format <format>           json, markdown or html coverage report (default: json)
+  --summary <file>            write a markdown (.md) or html coverage summary too
+  --previous <file>           coverage report of a previous run to compare with
+  --threshold <points>        percentage points coverage may drop by (default: 0)
+  -h, --help                  show this message
+`;
+
+function parseArgs(argv) {
+  const args = { patterns: [] };
+  const flags = {
+    '-o': 'output',
+    '--output': 'output',
+    '--key-strategy': 'keyStrategy',
+    '--key-root': 'keyRoot',
+    '--key-separator': 'keySeparator',
+    '--ext': 'ext',
+    '--format': 'format',
+    '--summary': 'summary',
+    '--previous': 'previous',
+    '--threshold': 'threshold'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      args.help = true;
+    } else if (flags[arg]) {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      args[flags[arg]] = argv[++i];
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (!args.command) {
+      args.command = arg;
+    } else {
+      args.patterns.push(arg);
+    }
+  }
+  return args;
+}
+
+function runExtract(args) {
+  if (args.keyStrategy && !KEY_STRATEGIES.includes(args.keyStrategy)) {
+    throw new Error(`Unknown key strategy ${args.keyStrategy}`);
+  }
+
+  const summary = extract(args.patterns.length ? args.patterns : ['.'], {
+    output: args.output || 'locales/en/translation.json',
+    keyStrategy: args.keyStrategy,
+    keyRoot: args.keyRoot,
+    keySeparator: args.keySeparator === 'false' ? false : args.keySeparator,
+    eslintOptions: args.ext ? { extensions: args.ext.split(',') } : {}
+  });
+
+  console.log(
+    `Extracted ${summary.literals} literals into ${summary.output}: ` +
+      `${summary.added} new, ${summary.existing} already in catalog`
+  );
+  console.log(`Sources written to ${summary.sources}`);
+  summary.skipped.forEach(({ filePath, line, column, code }) => {
+    console.warn(`Skipped ${filePath}:${line}:${column} ${code}`);
+  });
+  summary.conflicts.forEach(key => {
+    console.warn(`Skipped key ${key}, it clashes with the catalog structure`);
+  });
+}
+
+function runBaseline(args) {
+  const summary = writeBaseline(args.patterns.length ? args.patterns : ['.'], {
+    output: args.output || 'i18next-baseline.json',
+    eslintOptions: args.ext ? { extensions: args.ext.split(',') } : {}
+  });
+
+  console.log(
+    `Recorded ${summary.literals} literals of ${summary.files} files into ${summary.output}`
+  );
+  summary.removed.forEach(file => {
+    console.warn(`Dropped the entries of ${file}, which no longer exists`);
+  });
+}
+
+function runCoverage(args) {
+  if (args.format && !FORMATS.includes(args.format)) {
+    throw new Error(`Unknown coverage format ${args.format}`);
+  }
+  const threshold = args.threshold === undefined ? 0 : Number(args.threshold);
+  if (Number.isNaN(threshold)) {
+    throw new Error(`Invalid threshold ${args.threshold}`);
+  }
+
+  const { output, report, failure } = writeCoverage(
+    args.patterns.length ? args.patterns : ['.'],
+    {
+      output: args.output || 'coverage.json',
+      format: args.format,
+      summary: args.summary,
+      previous: args.previous,
+      threshold,
+      eslintOptions: args.ext ? { extensions: args.ext.split(',') } : {}
+    }
+  );
+
+  console.log(
+    `Translation coverage of ${report.total.files} files is ${report.total.coverage}%, written to ${output}`
+  );
+  if (!failure) return 0;
+  console.error(failure);
+  return 1;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help || !args.command) {
+    console.log(USAGE);
+    return args.help ? 0 : 1;
+  }
+
+  switch (args.command) {
+    case 'extract':
+      runExtract(args);
+      return 0;
+    case 'baseline':
+      runBaseline(args);
+      return 0;
+    case 'coverage':
+      return runCoverage(args);
+    default:
+      throw new Error(`Unknown command ${args.command}`);
+  }
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 2;
+}
@@ -0,0 +1,8 @@
+/**
+ * @fileoverview translation coverage formatter, used as
+ * eslint -f node_modules/eslint-plugin-i18next/coverage.js
+ * @author edvardchen
+ */
+'use strict';
+
+module.exports = require('./lib/coverage').formatter;
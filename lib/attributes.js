@@ -0,0 +1,146 @@
+/**
+ * @fileoverview tell which attributes of which elements hold text for users
+ * @author edvardchen
+ */
+'use strict';
+
+const { isNativeDOMTag, isSvgTag } = require('./helper');
+const { compilePattern } = require('./translator');
+
+/**
+ * The default policy, attribute patterns by tag where * stands for any tag.
+ * Attributes of native DOM and SVG elements are only checked when they are
+ * translatable, attributes of components unless they are ignored.
+ */
+const DEFAULT_POLICY = {
+  translatable: {
+    '*': [
+      'title',
+      'placeholder',
+      'alt',
+      'aria-label',
+      'aria-description',
+      'aria-placeholder',
+      'aria-roledescription',
+      'aria-valuetext',
+      'aria-braillelabel',
+      'aria-brailleroledescription'
+    ],
+    input: ['value'],
+    option: ['label'],
+    optgroup: ['label'],
+    track: ['label'],
+    meta: ['content']
+  },
+  ignore: {
+    '*': [
+      'className',
+      'styleName',
+      'type',
+      'id',
+      'width',
+      'height',
+      // vue
+      'class',
+      'style',
+      'ref',
+      'key',
+      'slot',
+      'is'
+    ]
+  }
+};
+
+const patternsByTag = {
+  type: 'object',
+  additionalProperties: {
+    type: 'array',
+    items: {
+      type: 'string'
+    }
+  }
+};
+
+const ATTRIBUTES_SCHEMA = {
+  type: 'object',
+  properties: {
+    translatable: patternsByTag,
+    ignore: patternsByTag,
+    components: {
+      enum: ['all', 'translatable']
+    }
+  },
+  additionalProperties: false
+};
+
+function merge(target, source) {
+  Object.keys(source || {}).forEach(tag => {
+    target[tag] = (target[tag] || []).concat(source[tag]);
+  });
+  return target;
+}
+
+/**
+ * Compile patterns by tag into a lookup
+ * @returns {function(string, string, boolean): boolean} tells whether an
+ *  attribute of a tag matches, either for the tag itself or for any tag
+ */
+function compile(patterns) {
+  const entries = Object.keys(patterns).map(tag => ({
+    any: tag === '*',
+    tag: compilePattern(tag),
+    attributes: patterns[tag].map(compilePattern)
+  }));
+  return (tag, attribute, any) =>
+    entries.some(
+      entry =>
+        entry.any === any &&
+        (any || entry.tag.test(tag)) &&
+        entry.attributes.some(regexp => regexp.test(attribute))
+    );
+}
+
+/**
+ * Create the attribute policy from the `attributes` option, extending the
+ * defaults, and the legacy `ignoreAttribute` and `ignoreTags` options
+ * @param {object} [option] rule option
+ * @returns {{ isTranslatable: function(string, string): boolean }}
+ */
+function createAttributePolicy(option) {
+  const attributes = (option && option.attributes) || {};
+  const translatable = merge(
+    merge({}, DEFAULT_POLICY.translatable),
+    attributes.translatable
+  );
+  const ignore = merge(merge({}, DEFAULT_POLICY.ignore), attributes.ignore);
+
+  merge(ignore, { '*': (option && option.ignoreAttribute) || [] });
+  ((option && option.ignoreTags) || []).forEach(entry => {
+    [].concat(entry.tag || []).forEach(tag => {
+      merge(ignore, { [tag]: entry.attributes || [] });
+    });
+  });
+
+  const isIgnored = compile(ignore);
+  const isListed = compile(translatable);
+  const checkComponents = attributes.components !== 'translatable';
+
+  return {
+    /**
+     * @param {string} tag like div, my-button or Foo.Bar
+     * @param {string} attribute
+     */
+    isTranslatable(tag, attribute) {
+      // the more specific entries win
+      if (isIgnored(tag, attribute, false)) return false;
+      if (isListed(tag, attribute, false)) return true;
+      if (isIgnored(tag, attribute, true)) return false;
+      if (isListed(tag, attribute, true)) return true;
+      if (isNativeDOMTag(tag) || isSvgTag(tag)) return false;
+      return checkComponents;
+    }
+  };
+}
+
+exports.ATTRIBUTES_SCHEMA = ATTRIBUTES_SCHEMA;
+exports.createAttributePolicy = createAttributePolicy;
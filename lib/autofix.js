@@ -0,0 +1,316 @@
+/**
+ * @fileoverview wrap literal strings in translation calls
+ * @author edvardchen
+ */
+'use strict';
+
+const { generateKey } = require('./keygen');
+const {
+  findVariable,
+  createBindingResolver,
+  FUNCTION_TYPES
+} = require('./binding');
+const { getScope } = require('./context');
+
+const LIBRARIES = ['i18next', 'react-i18next'];
+
+function quote(str) {
+  return `'${str
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\n/g, '\\n')}'`;
+}
+
+// App or useLabels, but not render or onClick
+function isComponentOrHookName(name) {
+  return /^[A-Z]/.test(name) || /^use[A-Z0-9]/.test(name);
+}
+
+function getFunctionName(fn) {
+  if (fn.id) return fn.id.name;
+  let temp = fn.parent;
+  // const App = memo(() => ...) or forwardRef(function (props, ref) {})
+  while (temp.type === 'CallExpression') temp = temp.parent;
+  if (temp.type === 'VariableDeclarator' && temp.id.type === 'Identifier') {
+    return temp.id.name;
+  }
+  return undefined;
+}
+
+/**
+ * The function component or custom hook a node is in, where hooks can be
+ * called. Class components have none.
+ * @returns {object | null | undefined} null if node is in functions or
+ *  classes only, undefined if it is not in any
+ */
+function getHookScope(node) {
+  let inFunction = false;
+  for (let temp = node.parent; temp; temp = temp.parent) {
+    if (temp.type === 'ClassBody') return null;
+    if (!FUNCTION_TYPES.includes(temp.type)) continue;
+    // callbacks like onClick are left for the component around them
+    if (isComponentOrHookName(getFunctionName(temp))) return temp;
+    inFunction = true;
+  }
+  return inFunction ? null : undefined;
+}
+
+function isInVueTemplate(node) {
+  if (node.type === 'VText' || node.type === 'VLiteral') return true;
+  for (let temp = node.parent; temp; temp = temp.parent) {
+    if (temp.type === 'VExpressionContainer') return true;
+  }
+  return false;
+}
+
+// babel-eslint parses JSX text as Literal
+function isJSXText(node) {
+  return (
+    node.type === 'JSXText' ||
+    (node.type === 'Literal' &&
+      ['JSXElement', 'JSXFragment'].includes(node.parent.type))
+  );
+}
+
+function getPlaceholderName(expression) {
+  if (expression.type === 'Identifier') return expression.name;
+  if (expression.type === 'MemberExpression' && !expression.computed) {
+    return expression.property.name;
+  }
+  return undefined;
+}
+
+/**
+ * Get the text of a literal in i18next format
+ * @returns {{ text: string, values: Array<{ name: string, code: string }> } | null}
+ *  null if the literal can not be expressed as a translation
+ */
+function getTranslatableText(node, sourceCode) {
+  if (isJSXText(node)) {
+    return { text: node.value.replace(/\s+/g, ' ').trim(), values: [] };
+  }
+
+  if (node.type === 'TemplateLiteral') {
+    const values = [];
+    let text = node.quasis[0].value.cooked;
+    for (let i = 0; i < node.expressions.length; i++) {
+      const expression = node.expressions[i];
+      const name = getPlaceholderName(expression);
+      // two placeholders sharing one name would need renaming, leave it to humans
+      if (!name || values.some(value => value.name === name)) return null;
+      values.push({ name, code: sourceCode.getText(expression) });
+      text += `{{${name}}}${node.quasis[i + 1].value.cooked}`;
+    }
+    return { text, values };
+  }
+
+  return { text: node.value, values: [] };
+}
+
+function isFixable(node) {
+  const { parent } = node;
+  if (isInVueTemplate(node)) return false;
+  // 'use strict'
+  if (parent.type === 'ExpressionStatement' && parent.directive) return false;
+  if (parent.type === 'TaggedTemplateExpression') return false;
+  if (node.type === 'Literal') return typeof node.value === 'string';
+  // only texts, not expressions like variables
+  return node.type === 'TemplateLiteral' || isJSXText(node);
+}
+
+/**
+ * @param {string} key
+ * @param {Array<{ name: string, code: string }>} values interpolation values
+ * @param {string} [callee] source text of the translation function
+ * @returns {string} like t('key', { name })
+ */
+function buildCall(key, values, callee = 't') {
+  if (!values.length) return `${callee}(${quote(key)})`;
+  const properties = values.map(({ name, code }) =>
+    name === code ? name : `${name}: ${code}`
+  );
+  return `${callee}(${quote(key)}, { ${properties.join(', ')} })`;
+}
+
+/**
+ * Create a fixer which rewrites reported literals into t('key') calls
+ * @param {object} context rule context
+ * @param {object} [option] the `fix` option of no-literal-string
+ * @param {string[]} [modules] modules exporting i18next bindings, see
+ *  createBindingResolver
+ * @returns {function(object): object} takes a report descriptor and returns
+ *  it with a fix or suggestion attached
+ */
+function createTranslationFixer(context, option, modules) {
+  const {
+    mode = 'suggest',
+    keyStrategy = 'path',
+    keyRoot = process.cwd(),
+    library = 'i18next'
+  } = option || {};
+  const sourceCode = context.getSourceCode();
+  const autofix = mode === 'autofix';
+  const bindings = createBindingResolver(context, modules);
+
+  // in autofix mode every report of a lint pass is applied together,
+  // so bindings only need to be inserted once
+  const plannedImports = new Set();
+  const plannedHooks = new WeakSet();
+
+  function insertImport(fixer, name, source) {
+    const { body, sourceType } = sourceCode.ast;
+
+    const existing = body.find(
+      statement =>
+        statement.type === 'ImportDeclaration' &&
+        statement.source.value === source &&
+        statement.specifiers.some(item => item.type === 'ImportSpecifier')
+    );
+    if (existing) {
+      const specifiers = existing.specifiers.filter(
+        item => item.type === 'ImportSpecifier'
+      );
+      return fixer.insertTextAfter(
+        specifiers[specifiers.length - 1],
+        `, ${name}`
+      );
+    }
+
+    const statement =
+      sourceType === 'module'
+        ? `import { ${name} } from '${source}';`
+        : `const { ${name} } = require('${source}');`;
+
+    const imports = body.filter(item => item.type === 'ImportDeclaration');
+    if (imports.length) {
+      return fixer.insertTextAfter(
+        imports[imports.length - 1],
+        `\n${statement}`
+      );
+    }
+
+    const first = body.find(
+      item => !(item.type === 'ExpressionStatement' && item.directive)
+    );
+    return fixer.insertTextBefore(first, `${statement}\n`);
+  }
+
+  function insertHook(fixer, fn) {
+    const hook = 'const { t } = useTranslation();';
+    const { body } = fn;
+
+    if (body.type === 'BlockStatement') {
+      if (!body.body.length) {
+        const brace = sourceCode.getFirstToken(body);
+        return [fixer.insertTextAfter(brace, ` ${hook} `)];
+      }
+      const first = body.body[0];
+      // function App() { return <div />; }
+      if (first.loc.start.line === body.loc.start.line) {
+        return [fixer.insertTextBefore(first, `${hook} `)];
+      }
+      const line = sourceCode.lines[first.loc.start.line - 1];
+      const indent = /^\s*/.exec(line)[0];
+      return [fixer.insertTextBefore(first, `${hook}\n${indent}`)];
+    }
+
+    // () => <div /> or () => (<div />)
+    const arrow = sourceCode.getTokenBefore(body, {
+      filter: token => token.value === '=>'
+    });
+    const start = sourceCode.getTokenAfter(arrow);
+    const end = sourceCode.getLastToken(fn);
+    return [
+      fixer.insertTextBefore(start, `{ ${hook} return `),
+      fixer.insertTextAfter(end, '; }')
+    ];
+  }
+
+  /**
+   * @returns {Array<function(object): object> | null} fixes binding `t` in
+   *  the scope of node, null if it can not be bound there
+   */
+  function getBindingFixes(node) {
+    const scope = getScope(context, node);
+    // a t which is not bound by i18next, like const t = 1, can neither be
+    // called nor shadowed
+    if (findVariable(scope, 't')) {
+      return bindings.resolveName('t', node) ? [] : null;
+    }
+
+    const fn = library === 'react-i18next' && getHookScope(node);
+    // useTranslation() would break the rules of hooks in class components,
+    // callbacks and plain functions
+    if (fn === null) return null;
+    if (!fn) {
+      if (autofix && plannedImports.has('t')) return [];
+      if (autofix) plannedImports.add('t');
+      return [fixer => insertImport(fixer, 't', 'i18next')];
+    }
+
+    const fixes = [];
+    if (!(autofix && plannedHooks.has(fn))) {
+      if (autofix) plannedHooks.add(fn);
+      fixes.push(fixer => insertHook(fixer, fn));
+    }
+    if (
+      !findVariable(scope, 'useTranslation') &&
+      !(autofix && plannedImports.has('useTranslation'))
+    ) {
+      if (autofix) plannedImports.add('useTranslation');
+      fixes.push(fixer =>
+        insertImport(fixer, 'useTranslation', 'react-i18next')
+      );
+    }
+    return fixes;
+  }
+
+  function getReplacement(fixer, node, call) {
+    if (isJSXText(node)) {
+      const [start, end] = node.range;
+      const leading = node.value.length - node.value.trimLeft().length;
+      const trailing = node.value.length - node.value.trimRight().length;
+      return fixer.replaceTextRange(
+        [start + leading, end - trailing],
+        `{${call}}`
+      );
+    }
+    const inAttribute = node.parent.type === 'JSXAttribute';
+    return fixer.replaceText(node, inAttribute ? `{${call}}` : call);
+  }
+
+  return function attachFix(descriptor) {
+    const { node } = descriptor;
+    if (!isFixable(node)) return descriptor;
+
+    const translatable = getTranslatableText(node, sourceCode);
+    if (!translatable || !translatable.text.trim()) return descriptor;
+
+    const key = generateKey(translatable.text.trim(), {
+      strategy: keyStrategy,
+      filename: context.getFilename(),
+      root: keyRoot
+    });
+    const call = buildCall(key, translatable.values);
+    const bindingFixes = getBindingFixes(node);
+    if (!bindingFixes) return descriptor;
+
+    const fix = fixer => [
+      getReplacement(fixer, node, call),
+      ...bindingFixes
+        .map(bindingFix => bindingFix(fixer))
+        .reduce((acc, val) => acc.concat(val), [])
+    ];
+
+    if (autofix) return Object.assign({}, descriptor, { fix });
+    return Object.assign({}, descriptor, {
+      suggest: [{ desc: `Translate with ${call}`, fix }]
+    });
+  };
+}
+
+exports.LIBRARIES = LIBRARIES;
+exports.createTranslationFixer = createTranslationFixer;
+exports.getTranslatableText = getTranslatableText;
+exports.getPlaceholderName = getPlaceholderName;
+exports.buildCall = buildCall;
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview suppress the literals recorded in a baseline file
+ * @author edvardchen
+ */
+'use strict';
+
+const fs = require('fs');
+const pathLib = require('path');
+const { readResource } = require('./catalog');
+
+/**
+ * Text a literal is recorded with, independent of its position and of
+ * the indentation of multi-line JSX text
+ * @param {string} code source text of the literal
+ * @returns {string}
+ */
+function getBaselineText(code) {
+  return code.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Path of a linted file in a baseline, relative to the baseline file
+ * @param {string} baselineFile
+ * @param {string} filename
+ * @returns {string} with forward slashes on every platform
+ */
+function getBaselinePath(baselineFile, filename) {
+  return pathLib
+    .relative(pathLib.dirname(pathLib.resolve(baselineFile)), filename)
+    .split(pathLib.sep)
+    .join('/');
+}
+
+/**
+ * Create a baseline from reported literals
+ * @param {Array<{ filePath: string, code: string }>} records
+ * @param {string} baselineFile the baseline is written to
+ * @returns {Object<string, Object<string, number>>} occurrences of literal
+ *  texts by file
+ */
+function createBaseline(records, baselineFile) {
+  const baseline = {};
+  records.forEach(({ filePath, code }) => {
+    const file = getBaselinePath(baselineFile, filePath);
+    const text = getBaselineText(code);
+    baseline[file] = baseline[file] || {};
+    baseline[file][text] = (baseline[file][text] || 0) + 1;
+  });
+
+  // sorted for stable diffs
+  return Object.keys(baseline)
+    .sort()
+    .reduce((acc, file) => {
+      acc[file] = Object.keys(baseline[file])
+        .sort()
+        .reduce((entries, text) => {
+          entries[text] = baseline[file][text];
+          return entries;
+        }, {});
+      return acc;
+    }, {});
+}
+
+/**
+ * Create a matcher of the baseline entries of a linted file. Every entry
+ * suppresses as many reports of its text as it has occurrences.
+ * @param {string} baselineFile
+ * @param {string} filename linted file
+ * @returns {{ error: string | undefined, suppress: function(string): boolean, getStale: function(): Array<{ text: string, expected: number, found: number }> }}
+ */
+function createBaselineMatcher(baselineFile, filename) {
+  let entries = {};
+  let error;
+  try {
+    entries = readResource(baselineFile)[
+      getBaselinePath(baselineFile, filename)
+    ];
+  } catch (e) {
+    error = e.message;
+  }
+  const found = new Map();
+
+  return {
+    error,
+
+    suppress(code) {
+      const text = getBaselineText(code);
+      const expected = (entries && entries[text]) || 0;
+      const count = found.get(text) || 0;
+      if (count >= expected) return false;
+      found.set(text, count + 1);
+      return true;
+    },
+
+    // entries occurring less often than recorded
+    getStale() {
+      return Object.keys(entries || {})
+        .map(text => ({
+          text,
+          expected: entries[text],
+          found: found.get(text) || 0
+        }))
+        .filter(entry => entry.found < entry.expected);
+    }
+  };
+}
+
+/**
+ * Files of a baseline which no longer exist. The rule only sees the files it
+ * lints, so it never reports the entries of removed files as stale.
+ * @param {string} baselineFile
+ * @returns {string[]} paths as recorded in the baseline, none if the baseline
+ *  does not exist or can not be read
+ */
+function getRemovedFiles(baselineFile) {
+  let baseline;
+  try {
+    baseline = readResource(baselineFile);
+  } catch (e) {
+    return [];
+  }
+  const dir = pathLib.dirname(pathLib.resolve(baselineFile));
+  return Object.keys(baseline).filter(
+    file => !fs.existsSync(pathLib.resolve(dir, file))
+  );
+}
+
+exports.getBaselineText = getBaselineText;
+exports.createBaseline = createBaseline;
+exports.createBaselineMatcher = createBaselineMatcher;
+exports.getRemovedFiles = getRemovedFiles;
@@ -0,0 +1,398 @@
+/**
+ * @fileoverview resolve where translation functions are bound
+ * @author edvardchen
+ */
+'use strict';
+
+const { getDeclaredVariables } = require('./context');
+
+const DEFAULT_MODULES = [
+  'i18next',
+  'react-i18next',
+  'next-i18next',
+  'vue-i18n'
+];
+
+// useI18n of vue-i18n
+const HOOKS = ['useTranslation', 'useI18n'];
+const HOCS = ['withTranslation', 'translate'];
+const RENDER_PROP_COMPONENTS = ['Translation'];
+// exports of the modules which are i18next instances
+const INSTANCE_IMPORTS = ['default', '*', 'i18n', 'i18next'];
+
+const FUNCTION_TYPES = [
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression'
+];
+const CLASS_TYPES = ['ClassDeclaration', 'ClassExpression'];
+
+function findVariable(scope, name) {
+  for (let temp = scope; temp; temp = temp.upper) {
+    const variable = temp.set.get(name);
+    if (variable) return variable;
+  }
+  return null;
+}
+
+/**
+ * @param {object} node key of a property, or a Property or MemberExpression
+ * @returns {string | undefined} the static name, like a in { a: 1 },
+ *  { 'a': 1 } or x.a, undefined for computed names like { [a]: 1 }
+ */
+function getPropertyName(node) {
+  if (node.type === 'Property' || node.type === 'MemberExpression') {
+    const key = node.type === 'Property' ? node.key : node.property;
+    if (node.computed && key.type !== 'Literal') return undefined;
+    return getPropertyName(key);
+  }
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'Literal') return String(node.value);
+  return undefined;
+}
+
+/**
+ * Path from the root of a binding pattern to the identifier,
+ * e.g. t in { t: [first] } gives ['t', 0]
+ * @returns {Array<string | number> | null} null if name is not in pattern
+ */
+function getPatternPath(pattern, name) {
+  switch (pattern.type) {
+    case 'Identifier':
+      return pattern === name ? [] : null;
+    case 'AssignmentPattern':
+      return getPatternPath(pattern.left, name);
+    case 'ObjectPattern':
+      for (const property of pattern.properties) {
+        if (property.type !== 'Property' || property.computed) continue;
+        const path = getPatternPath(property.value, name);
+        if (path) return [getPropertyName(property.key)].concat(path);
+      }
+      return null;
+    case 'ArrayPattern':
+      for (let i = 0; i < pattern.elements.length; i++) {
+        const path =
+          pattern.elements[i] && getPatternPath(pattern.elements[i], name);
+        if (path) return [i].concat(path);
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+function isPath(path, expected) {
+  return (
+    path.length === expected.length &&
+    path.every((item, i) => item === expected[i])
+  );
+}
+
+/**
+ * Create a resolver telling whether calls really go to i18next
+ * @param {object} context rule context
+ * @param {string[]} [modules] modules exporting i18next bindings
+ * @returns {{ resolveCallee: function(object): object | null, resolveName: function(string, object): object | null, resolveVariable: function(object): object | null }}
+ */
+function createBindingResolver(context, modules) {
+  const sourceCode = context.getSourceCode();
+  const { scopeManager } = sourceCode;
+  const translatorModules = modules || DEFAULT_MODULES;
+
+  function getScopeOf(node) {
+    for (let temp = node; temp; temp = temp.parent) {
+      const scope = scopeManager.acquire(temp, true);
+      if (scope) return scope;
+    }
+    return scopeManager.globalScope;
+  }
+
+  function resolveVariable(identifier) {
+    return findVariable(getScopeOf(identifier), identifier.name);
+  }
+
+  /**
+   * @returns {string | null} name of the export the identifier is imported
+   *  as from one of the translator modules, 'default' or '*' for default and
+   *  namespace imports
+   */
+  function getImportedName(identifier) {
+    if (
+      !identifier ||
+      !['Identifier', 'JSXIdentifier'].includes(identifier.type)
+    ) {
+      return null;
+    }
+    const variable = resolveVariable(identifier);
+    if (!variable) return null;
+
+    const def = variable.defs.find(item => item.type === 'ImportBinding');
+    if (!def || !translatorModules.includes(def.parent.source.value)) {
+      return null;
+    }
+    switch (def.node.type) {
+      case 'ImportDefaultSpecifier':
+        return 'default';
+      case 'ImportNamespaceSpecifier':
+        return '*';
+      default:
+        return def.node.imported.name;
+    }
+  }
+
+  function isImportOf(identifier, names) {
+    return names.includes(getImportedName(identifier));
+  }
+
+  // useTranslation() or i18n.useTranslation()
+  function isCallOf(node, names) {
+    if (!node || node.type !== 'CallExpression') return false;
+    const { callee } = node;
+    if (callee.type === 'Identifier') return isImportOf(callee, names);
+    return (
+      callee.type === 'MemberExpression' &&
+      !callee.computed &&
+      names.includes(callee.property.name) &&
+      isImportOf(callee.object, INSTANCE_IMPORTS)
+    );
+  }
+
+  /**
+   * Find the HOC call wrapping a component, like withTranslation('ns')
+   * in withTranslation('ns')(Component)
+   * @param {object} component function or class
+   * @returns {object | null} the HOC call
+   */
+  function getWrappingHOC(component) {
+    const isWrapping = (call, argument) =>
+      call.type === 'CallExpression' &&
+      call.arguments.includes(argument) &&
+      isCallOf(call.callee, HOCS);
+
+    if (isWrapping(component.parent, component)) return component.parent.callee;
+
+    const declaration =
+      component.parent.type === 'VariableDeclarator'
+        ? component.parent
+        : component;
+    for (const variable of getDeclaredVariables(context, declaration)) {
+      for (const reference of variable.references) {
+        const { identifier } = reference;
+        if (isWrapping(identifier.parent, identifier)) {
+          return identifier.parent.callee;
+        }
+      }
+    }
+    return null;
+  }
+
+  function getEnclosing(node, types) {
+    let temp = node.parent;
+    while (temp && !types.includes(temp.type)) temp = temp.parent;
+    return temp;
+  }
+
+  // the props of a component wrapped by withTranslation
+  function resolveProps(node) {
+    // this.props
+    if (
+      node.type === 'MemberExpression' &&
+      node.object.type === 'ThisExpression' &&
+      getPropertyName(node.property) === 'props'
+    ) {
+      const component = getEnclosing(node, CLASS_TYPES);
+      const hoc = component && getWrappingHOC(component);
+      return hoc && { kind: 'hoc', node: hoc };
+    }
+
+    if (node.type !== 'Identifier') return null;
+    const variable = resolveVariable(node);
+    const def = variable && variable.defs[0];
+    if (!def) return null;
+
+    if (def.type === 'Parameter' && def.node.params[0] === def.name) {
+      const hoc = getWrappingHOC(def.node);
+      return hoc && { kind: 'hoc', node: hoc };
+    }
+    // const props = this.props;
+    if (def.type === 'Variable' && def.node.id === def.name && def.node.init) {
+      return resolveProps(def.node.init);
+    }
+    return null;
+  }
+
+  // i18next, i18n from useTranslation() or i18next.createInstance()
+  function resolveInstance(node) {
+    if (node.type === 'CallExpression') {
+      return isCallOf(node, ['createInstance', 'cloneInstance'])
+        ? { kind: 'instance', node }
+        : null;
+    }
+    if (node.type !== 'Identifier') return null;
+    if (isImportOf(node, INSTANCE_IMPORTS)) return { kind: 'instance', node };
+
+    const variable = resolveVariable(node);
+    const def =
+      variable && variable.defs.find(item => item.type === 'Variable');
+    if (!def || !def.node.init) return null;
+
+    const path = getPatternPath(def.node.id, def.name);
+    if (path && isPath(path, ['i18n']) && isCallOf(def.node.init, HOOKS)) {
+      return { kind: 'hook', node: def.node.init };
+    }
+    return path && !path.length ? resolveInstance(def.node.init) : null;
+  }
+
+  /**
+   * Resolve a value and a path into it to a translator binding
+   * @param {object} node the value, e.g. useTranslation()
+   * @param {Array<string | number>} path e.g. ['t']
+   */
+  function resolveValue(node, path) {
+    if (!node) return null;
+
+    if (node.type === 'CallExpression') {
+      // const { t } = useTranslation(); const [t] = useTranslation();
+      if (isCallOf(node, HOOKS)) {
+        return isPath(path, ['t']) || isPath(path, [0])
+          ? { kind: 'hook', node }
+          : null;
+      }
+      // const t = i18n.getFixedT('de');
+      if (
+        !path.length &&
+        node.callee.type === 'MemberExpression' &&
+        getPropertyName(node.callee.property) === 'getFixedT' &&
+        resolveInstance(node.callee.object)
+      ) {
+        return { kind: 'fixedT', node };
+      }
+      return null;
+    }
+
+    // const { t } = props; const { t } = this.props;
+    if (isPath(path, ['t'])) return resolveProps(node);
+
+    if (path.length) return null;
+    if (node.type === 'Identifier') return resolveIdentifier(node);
+    if (node.type === 'MemberExpression') return resolveMember(node);
+    return null;
+  }
+
+  function resolveParameter(def) {
+    const fn = def.node;
+    const index = fn.params.findIndex(param => getPatternPath(param, def.name));
+    if (index !== 0) return null;
+    const path = getPatternPath(fn.params[0], def.name);
+
+    // <Translation>{t => t('key')}</Translation>
+    const container = fn.parent;
+    if (
+      !path.length &&
+      container.type === 'JSXExpressionContainer' &&
+      container.parent.type === 'JSXElement'
+    ) {
+      const { name } = container.parent.openingElement;
+      return isImportOf(name, RENDER_PROP_COMPONENTS)
+        ? { kind: 'renderProp', node: container.parent }
+        : null;
+    }
+
+    // withTranslation()(function Component({ t }) {})
+    if (isPath(path, ['t'])) {
+      const hoc = getWrappingHOC(fn);
+      return hoc && { kind: 'hoc', node: hoc };
+    }
+    return null;
+  }
+
+  // variables being resolved, guards against cycles like const a = b, b = a;
+  const resolving = new Set();
+
+  function resolveIdentifier(identifier) {
+    const variable = resolveVariable(identifier);
+    if (!variable || resolving.has(variable)) return null;
+
+    resolving.add(variable);
+    try {
+      return resolveDefinitions(identifier, variable);
+    } finally {
+      resolving.delete(variable);
+    }
+  }
+
+  function resolveDefinitions(identifier, variable) {
+    for (const def of variable.defs) {
+      let binding = null;
+      if (def.type === 'ImportBinding') {
+        binding =
+          getImportedName(identifier) === 't'
+            ? { kind: 'import', node: def.parent }
+            : null;
+      } else if (def.type === 'Variable') {
+        const path = getPatternPath(def.node.id, def.name);
+        binding = path && resolveValue(def.node.init, path);
+      } else if (
+        def.type === 'Parameter' &&
+        FUNCTION_TYPES.includes(def.node.type)
+      ) {
+        binding = resolveParameter(def);
+      }
+      if (binding) return binding;
+    }
+    return null;
+  }
+
+  function resolveMember(member) {
+    if (member.computed || getPropertyName(member.property) !== 't') {
+      return null;
+    }
+    // i18next.t(), i18n.t()
+    return resolveInstance(member.object) || resolveProps(member.object);
+  }
+
+  return {
+    /**
+     * @param {object} callee callee of a CallExpression
+     * @returns {{ kind: string, node: object } | null} the binding of the
+     *  translator, node is e.g. the useTranslation() or withTranslation() call
+     */
+    resolveCallee(callee) {
+      switch (callee.type) {
+        case 'Identifier':
+          return resolveIdentifier(callee);
+        case 'MemberExpression':
+          return resolveMember(callee);
+        case 'CallExpression':
+          // i18n.getFixedT('de')('key')
+          return resolveValue(callee, []);
+        default:
+          return null;
+      }
+    },
+
+    /**
+     * @param {string} name
+     * @param {object} node where name is looked up
+     * @returns {{ kind: string, node: object } | null} the translator binding
+     *  name refers to at node, like the t of useTranslation()
+     */
+    resolveName(name, node) {
+      return resolveIdentifier({ type: 'Identifier', name, parent: node });
+    },
+
+    /**
+     * @param {object} identifier
+     * @returns {object | null} the variable identifier refers to, looked up
+     *  from the scope of identifier rather than of the node being visited
+     */
+    resolveVariable
+  };
+}
+
+exports.DEFAULT_MODULES = DEFAULT_MODULES;
+exports.RENDER_PROP_COMPONENTS = RENDER_PROP_COMPONENTS;
+exports.FUNCTION_TYPES = FUNCTION_TYPES;
+exports.findVariable = findVariable;
+exports.getPropertyName = getPropertyName;
+exports.createBindingResolver = createBindingResolver;
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview tell which expressions flow into branded string types
+ * @author edvardchen
+ */
+'use strict';
+
+const { getParserServices } = require('./context');
+
+const BRANDED_TYPES_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'string'
+  }
+};
+
+// expressions whose value is one of their branches
+const BRANCHING_TYPES = {
+  ConditionalExpression: node => [node.consequent, node.alternate],
+  LogicalExpression: node => [node.left, node.right],
+  SequenceExpression: node => node.expressions.slice(-1),
+  JSXExpressionContainer: node => [node.expression]
+};
+
+/**
+ * Split an expression into the ones which provide its value, like both
+ * branches of cond ? a : b
+ * @param {object} node expression
+ * @returns {object[]}
+ */
+function getValueNodes(node) {
+  const branches = BRANCHING_TYPES[node.type];
+  if (!branches) return [node];
+  return branches(node).reduce(
+    (acc, item) => acc.concat(getValueNodes(item)),
+    []
+  );
+}
+
+/**
+ * Create a checker of branded types like
+ * type TranslatedString = string & { __brand: 'translated' }
+ * which needs the type information of @typescript-eslint/parser
+ * @param {object} context rule context
+ * @param {string[]} [names] names of the branded types
+ * @returns {{ enabled: boolean, getBrand(node: object): string | null, isBranded(node: object): boolean }}
+ */
+function createBrandChecker(context, names) {
+  const { program, esTreeNodeToTSNodeMap } = getParserServices(context);
+  const typeChecker =
+    names &&
+    names.length &&
+    program &&
+    esTreeNodeToTSNodeMap &&
+    program.getTypeChecker();
+  // only available along with @typescript-eslint/parser
+  const ts = typeChecker && require('typescript');
+
+  function findBrand(type) {
+    const types = type.isUnion() ? type.types : [type];
+    const branded = types.find(
+      item => item.aliasSymbol && names.includes(item.aliasSymbol.name)
+    );
+    return branded ? branded.aliasSymbol.name : null;
+  }
+
+  function getTSNode(node) {
+    return (typeChecker && esTreeNodeToTSNodeMap.get(node)) || null;
+  }
+
+  return {
+    enabled: Boolean(typeChecker),
+
+    /**
+     * @param {object} node expression
+     * @returns {string | null} the branded type declared for the parameter,
+     *  prop or property the expression is passed to
+     */
+    getBrand(node) {
+      const tsNode = getTSNode(node);
+      if (!tsNode) return null;
+      const contextualType = typeChecker.getContextualType(tsNode);
+      return contextualType ? findBrand(contextualType) : null;
+    },
+
+    /**
+     * @param {object} node expression
+     * @returns {boolean} whether the value of the expression is branded
+     *  already, like the result of a typed translation function
+     */
+    isBranded(node) {
+      const tsNode = getTSNode(node);
+      if (!tsNode) return false;
+      const type = typeChecker.getTypeAtLocation(tsNode);
+      const nullable = ts.TypeFlags.Undefined | ts.TypeFlags.Null;
+      const types = (type.isUnion() ? type.types : [type]).filter(
+        item => !(item.flags & nullable)
+      );
+      return types.length > 0 && types.every(item => findBrand(item));
+    }
+  };
+}
+
+exports.BRANDED_TYPES_SCHEMA = BRANDED_TYPES_SCHEMA;
+exports.getValueNodes = getValueNodes;
+exports.createBrandChecker = createBrandChecker;
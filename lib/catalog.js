@@ -0,0 +1,234 @@
+/**
+ * @fileoverview load i18next resource files and look up keys
+ * @author edvardchen
+ */
+'use strict';
+
+const fs = require('fs');
+const pathLib = require('path');
+
+// parsed resources are shared by every file of a lint run
+const cache = new Map();
+
+// of the keySeparator and nsSeparator options, false for keys without one
+const SEPARATOR_SCHEMA = {
+  anyOf: [{ type: 'string' }, { enum: [false] }]
+};
+
+/**
+ * Read and parse an i18next JSON resource file
+ * @param {string} file path relative to the working directory
+ * @returns {object} parsed resource
+ * @throws if the file can not be read or parsed
+ */
+function readResource(file) {
+  const filePath = pathLib.resolve(file);
+  const { mtimeMs } = fs.statSync(filePath);
+
+  const cached = cache.get(filePath);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.resource;
+
+  const resource = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  cache.set(filePath, { mtimeMs, resource });
+  return resource;
+}
+
+/**
+ * Load resource files, collecting errors instead of throwing
+ * @param {string[]} files
+ * @returns {{ resources: object[], errors: Array<{ file: string, message: string }> }}
+ */
+function loadResources(files) {
+  const resources = [];
+  const errors = [];
+  files.forEach(file => {
+    try {
+      resources.push(readResource(file));
+    } catch (e) {
+      errors.push({ file, message: e.message });
+    }
+  });
+  return { resources, errors };
+}
+
+const NS_PLACEHOLDER = /\{\{\s*ns\s*\}\}/;
+
+/**
+ * Resolve namespaces to their resource files
+ * @param {object | string} namespaces files by namespace like
+ *  { common: 'locales/en/common.json' }, or a pattern like 'locales/en/{{ns}}.json'
+ * @returns {{ getFile: function(string): string | undefined, list: function(): string[] }}
+ */
+function createNamespaceFiles(namespaces) {
+  const isPattern = typeof namespaces === 'string';
+
+  return {
+    getFile(ns) {
+      if (isPattern) return namespaces.replace(NS_PLACEHOLDER, ns);
+      return Object.prototype.hasOwnProperty.call(namespaces, ns)
+        ? namespaces[ns]
+        : undefined;
+    },
+
+    // the namespaces on disk
+    list() {
+      if (!isPattern) return Object.keys(namespaces);
+
+      const dir = pathLib.dirname(namespaces);
+      const [before, after] = pathLib
+        .basename(namespaces)
+        .split(NS_PLACEHOLDER);
+      // e.g. locales/{{ns}}/en.json can not be listed
+      if (NS_PLACEHOLDER.test(dir) || after === undefined) return [];
+      try {
+        return fs
+          .readdirSync(dir)
+          .filter(
+            file =>
+              file.length > before.length + after.length &&
+              file.startsWith(before) &&
+              file.endsWith(after)
+          )
+          .map(file => file.slice(before.length, file.length - after.length));
+      } catch (e) {
+        return [];
+      }
+    }
+  };
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object';
+}
+
+// the same lookup i18next does, allowing flat keys which contain the separator
+function deepFind(obj, segments, keySeparator) {
+  if (!segments.length) return obj;
+  if (!isObject(obj)) return undefined;
+
+  for (let i = 1; i <= segments.length; i++) {
+    const head = segments.slice(0, i).join(keySeparator);
+    if (Object.prototype.hasOwnProperty.call(obj, head)) {
+      const found = deepFind(obj[head], segments.slice(i), keySeparator);
+      if (found !== undefined) return found;
+    }
+  }
+  return undefined;
+}
+
+function splitKey(key, keySeparator) {
+  return keySeparator === false ? [key] : key.split(keySeparator);
+}
+
+/**
+ * Split the namespace off a key like 'common:save'
+ * @param {string} key
+ * @param {string | false} nsSeparator
+ * @returns {{ ns: string | undefined, key: string }}
+ */
+function splitNamespace(key, nsSeparator) {
+  if (nsSeparator === false) return { ns: undefined, key };
+  const index = key.indexOf(nsSeparator);
+  if (index === -1) return { ns: undefined, key };
+  return {
+    ns: key.slice(0, index),
+    key: key.slice(index + nsSeparator.length)
+  };
+}
+
+/**
+ * Find the value of a key in a resource
+ * @param {object} resource
+ * @param {string} key without namespace
+ * @param {{ keySeparator: string | false }} options
+ * @returns {*} undefined if missing
+ */
+function findValue(resource, key, options) {
+  const { keySeparator } = options;
+  return deepFind(resource, splitKey(key, keySeparator), keySeparator);
+}
+
+// the object containing a key and the last segment of the key in there
+function findParent(resource, key, keySeparator) {
+  const segments = splitKey(key, keySeparator);
+  const last = segments.pop();
+  const parent = deepFind(resource, segments, keySeparator);
+  return isObject(parent) ? { parent, last } : null;
+}
+
+/**
+ * Suffixes of the plural and context variants of a key in a resource,
+ * e.g. ['one', 'other'] for key_one and key_other
+ * @param {object} resource
+ * @param {string} key without namespace
+ * @param {{ keySeparator: string | false }} options
+ * @returns {string[]}
+ */
+function getSuffixes(resource, key, options) {
+  const found = findParent(resource, key, options.keySeparator);
+  if (!found) return [];
+  const prefix = `${found.last}_`;
+  return Object.keys(found.parent)
+    .filter(item => item.startsWith(prefix))
+    .map(item => item.slice(prefix.length));
+}
+
+/**
+ * Find the values of a key in a resource, either the value itself or the
+ * ones of its plural and context variants like key_one or key_male
+ * @param {object} resource
+ * @param {string} key without namespace
+ * @param {{ keySeparator: string | false }} options
+ * @returns {Array<*>} empty if missing
+ */
+function findVariants(resource, key, options) {
+  const values = [];
+  const value = findValue(resource, key, options);
+  if (value !== undefined) values.push(value);
+
+  const found = findParent(resource, key, options.keySeparator);
+  getSuffixes(resource, key, options).forEach(suffix =>
+    values.push(found.parent[`${found.last}_${suffix}`])
+  );
+  return values;
+}
+
+/**
+ * Whether a key resolves in a resource, either directly or through
+ * plural and context suffixes like key_one or key_male
+ * @param {object} resource
+ * @param {string} key without namespace
+ * @param {{ keySeparator: string | false }} options
+ * @returns {boolean}
+ */
+function hasKey(resource, key, options) {
+  return findVariants(resource, key, options).length > 0;
+}
+
+/**
+ * List the keys of all translations in a resource
+ * @param {object} resource
+ * @param {string | false} keySeparator joins nested keys, '.' if false
+ * @returns {string[]} e.g. ['checkout.submit', 'checkout.items_one']
+ */
+function listKeys(resource, keySeparator) {
+  const separator = keySeparator === false ? '.' : keySeparator;
+  return Object.keys(resource).reduce((acc, key) => {
+    const value = resource[key];
+    if (!isObject(value) || Array.isArray(value)) return acc.concat(key);
+    return acc.concat(
+      listKeys(value, keySeparator).map(item => `${key}${separator}${item}`)
+    );
+  }, []);
+}
+
+exports.SEPARATOR_SCHEMA = SEPARATOR_SCHEMA;
+exports.loadResources = loadResources;
+exports.createNamespaceFiles = createNamespaceFiles;
+exports.readResource = readResource;
+exports.splitNamespace = splitNamespace;
+exports.findValue = findValue;
+exports.findVariants = findVariants;
+exports.getSuffixes = getSuffixes;
+exports.hasKey = hasKey;
+exports.listKeys = listKeys;
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview recognize strings which are not shown to users
+ * @author edvardchen
+ */
+'use strict';
+
+const { isUpperCase } = require('./helper');
+
+const CSS_UNITS =
+  'px|em|rem|%|vh|vw|vmin|vmax|pt|pc|cm|mm|in|ex|ch|fr|s|ms|deg|rad|turn|dpi|dppx';
+
+// a single value, tested token by token as nested quantifiers over the whole
+// string backtrack exponentially on long runs of digits
+const CSS_VALUE = new RegExp(
+  `^-?(?:\\d+(?:\\.\\d*)?|\\.\\d+)(?:${CSS_UNITS})?$`
+);
+
+// a file name without directory needs a known extension, as e.g and
+// Hello.world are text
+const FILE_NAME = new RegExp(
+  '^[\\w@.-]+\\.(?:svg|png|jpe?g|gif|webp|avif|ico|bmp|mp3|mp4|webm|ogg|wav|' +
+    'pdf|csv|txt|md|json|xml|ya?ml|html?|css|scss|sass|less|[cm]?[jt]sx?|vue|' +
+    'woff2?|ttf|otf|eot|zip)$'
+);
+
+// tokens of moment, dayjs, date-fns and luxon formats
+const DATE_TOKENS = [
+  'YYYY YY Y yyyy yy y',
+  'MMMM MMM MM M Mo LLLL LLL LL L LTS LT',
+  'DD D Do dddd ddd dd d EEEE EEE E',
+  'HH H hh h kk k mm m ss s SSS SS S',
+  'A a Z ZZ X x Q WW W ww w T'
+]
+  .join(' ')
+  .split(' ');
+
+const DATE_SEPARATORS = /[\s\-/:.,[\]']+/;
+
+function isDateFormat(text) {
+  const tokens = text.split(DATE_SEPARATORS).filter(Boolean);
+  // a single token like 'Do' or 'LT' is rather a word, formats are made of
+  // several tokens and the separators between them
+  return (
+    tokens.length > 1 && tokens.every(token => DATE_TOKENS.includes(token))
+  );
+}
+
+/**
+ * Detectors by name, each telling whether a trimmed string is technical
+ */
+const DETECTORS = {
+  // https://example.com, //cdn.example.com/a.js, mailto:a@b.c
+  url: text =>
+    /^(?:[a-z][a-z\d+.-]*:)?\/\/\S+$/i.test(text) ||
+    /^(?:mailto|tel):\S+$/i.test(text),
+  // ./assets/logo.svg, /api/users, ~/config, logo.svg
+  filePath: text =>
+    /^(?:\.{1,2}\/|\/|~\/)\S*$/.test(text) ||
+    /^[\w@.-]+(?:\/[\w@.-]+)+\.[a-z][a-z\d]{0,4}$/.test(text) ||
+    FILE_NAME.test(text),
+  // application/json, text/html; charset=utf-8
+  mimeType: text =>
+    /^(?:application|audio|font|image|message|model|multipart|text|video)\/[\w.+-]+(?:\s*;.*)?$/.test(
+      text
+    ),
+  // 10px, 1.5rem 2rem, -50%
+  cssUnit: text => text.split(/\s+/).every(token => CSS_VALUE.test(token)),
+  // #ff00aa, rgba(0, 0, 0, .5)
+  colour: text =>
+    /^#(?:[\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/i.test(text) ||
+    /^(?:rgba?|hsla?)\([^)]*\)$/i.test(text),
+  // YYYY-MM-DD, HH:mm:ss, MMM D, YYYY
+  dateFormat: isDateFormat,
+  // camelCaseKey, but not iPhone or eBay
+  camelCase: text => /^[a-z]{2,}(?:[A-Z][a-z\d]*)+$/.test(text),
+  // FormContainer, but also brands like YouTube
+  pascalCase: text => /^[A-Z][a-z\d]+(?:[A-Z][a-z\d]+)+$/.test(text),
+  // data-testid
+  kebabCase: text => /^[a-z][a-z\d]*(?:-[a-z\d]+)+$/.test(text),
+  // user_name
+  snakeCase: text => /^[a-z][a-z\d]*(?:_[a-z\d]+)+$/.test(text),
+  // FOO, A_B
+  upperCase: isUpperCase,
+  // submit
+  singleWord: text => /^[a-z]+$/.test(text)
+};
+
+// shaped like words, so they are translated when they are visible in markup
+const IDENTIFIER_DETECTORS = [
+  'camelCase',
+  'pascalCase',
+  'kebabCase',
+  'snakeCase',
+  'upperCase',
+  'singleWord'
+];
+
+const DEFAULT_DETECTORS = {
+  url: true,
+  filePath: true,
+  mimeType: true,
+  cssUnit: true,
+  colour: true,
+  dateFormat: true,
+  camelCase: true,
+  pascalCase: true,
+  kebabCase: true,
+  snakeCase: false,
+  upperCase: true,
+  singleWord: false
+};
+
+const DETECTORS_SCHEMA = {
+  type: 'object',
+  properties: Object.keys(DETECTORS).reduce((acc, name) => {
+    acc[name] = { type: 'boolean' };
+    return acc;
+  }, {}),
+  additionalProperties: false
+};
+
+/**
+ * Create a classifier from the `detectors` option, which toggles detectors
+ * on top of the defaults
+ * @param {Object<string, boolean>} [detectors]
+ * @returns {{ isTechnical: function(string, { markup: boolean }): boolean, getDetector: function(string, { markup: boolean }): string | undefined }}
+ */
+function createClassifier(detectors) {
+  const enabled = Object.assign({}, DEFAULT_DETECTORS, detectors);
+  const names = Object.keys(DETECTORS).filter(name => enabled[name]);
+
+  /**
+   * @param {string} text trimmed string
+   * @param {{ markup: boolean }} options markup is true for JSX or vue
+   *  text and attributes
+   * @returns {string | undefined} the name of the first detector telling
+   *  the text is technical
+   */
+  function getDetector(text, { markup }) {
+    return names.find(
+      name =>
+        !(markup && IDENTIFIER_DETECTORS.includes(name)) &&
+        DETECTORS[name](text)
+    );
+  }
+
+  return {
+    getDetector,
+
+    isTechnical(text, options) {
+      return getDetector(text, options) !== undefined;
+    }
+  };
+}
+
+exports.DETECTORS_SCHEMA = DETECTORS_SCHEMA;
+exports.createClassifier = createClassifier;
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview collect the literals no-literal-string reports in a project
+ * @author edvardchen
+ */
+'use strict';
+
+const pathLib = require('path');
+const fs = require('fs');
+const { CLIEngine } = require('eslint');
+const { getTranslatableText } = require('./autofix');
+const plugin = require('./index');
+
+const RULE = 'no-literal-string';
+const RULE_ID = `i18next/${RULE}`;
+const EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.vue'];
+
+/**
+ * Wrap no-literal-string so that reports are recorded instead of emitted
+ * @param {object} rule no-literal-string
+ * @param {function(object): void} record called with every report
+ * @param {function(object): object} ruleOptions adjusts the configured options
+ * @returns {object} rule
+ */
+function createCollectorRule(rule, record, ruleOptions) {
+  return {
+    meta: rule.meta,
+    create(context) {
+      const sourceCode = context.getSourceCode();
+      // literals suppressed by a baseline are untranslated all the same
+      const configured = Object.assign({}, context.options[0]);
+      delete configured.baseline;
+      // only reports are collected, not what explains the allowed strings
+      delete configured.explain;
+      const collectorContext = Object.create(context, {
+        options: {
+          value: [ruleOptions(configured)]
+        },
+        report: {
+          value(descriptor) {
+            const { node } = descriptor;
+            const translatable = getTranslatableText(node, sourceCode);
+            record({
+              filePath: context.getFilename(),
+              line: node.loc.start.line,
+              column: node.loc.start.column + 1,
+              code: sourceCode.getText(node),
+              // values like name in notify(name) reported for a branded type
+              // have no text
+              text:
+                translatable && typeof translatable.text === 'string'
+                  ? translatable.text.trim()
+                  : null
+            });
+          }
+        }
+      });
+      return rule.create(collectorContext);
+    }
+  };
+}
+
+function isRuleEnabled(config) {
+  const setting = config.rules && config.rules[RULE_ID];
+  if (setting === undefined) return false;
+  const severity = Array.isArray(setting) ? setting[0] : setting;
+  return severity !== 0 && severity !== 'off';
+}
+
+// getConfigForFile wants a file, a directory stands for the files inside
+function toConfigPath(pattern) {
+  const resolved = pathLib.resolve(pattern);
+  try {
+    if (fs.statSync(resolved).isDirectory()) {
+      return pathLib.join(resolved, 'index.js');
+    }
+  } catch (e) {
+    // a glob pattern
+  }
+  return resolved;
+}
+
+/**
+ * Lint files with nothing but no-literal-string, with the options of the
+ * project's ESLint configuration where it configures them
+ * @param {string[]} patterns files, directories or globs
+ * @param {object} [options]
+ * @param {object} [options.eslintOptions] extra CLIEngine options
+ * @param {object} [options.plugin] plugin to run no-literal-string of
+ * @returns {object[]} ESLint results
+ * @throws if any of the files fails to parse
+ */
+function lintLiterals(patterns, options) {
+  const { eslintOptions = {}, plugin: rulePlugin = plugin } = options || {};
+
+  const baseOptions = Object.assign({ extensions: EXTENSIONS }, eslintOptions);
+  const probe = new CLIEngine(baseOptions);
+  probe.addPlugin('i18next', rulePlugin);
+  const config = probe.getConfigForFile(toConfigPath(patterns[0] || '.'));
+
+  // only run no-literal-string, with the project's options where configured
+  const rules = Object.keys(config.rules || {}).reduce((acc, ruleId) => {
+    if (ruleId !== RULE_ID) acc[ruleId] = 'off';
+    return acc;
+  }, Object.assign({}, eslintOptions.rules));
+  if (!isRuleEnabled(config)) rules[RULE_ID] = 'error';
+
+  const cli = new CLIEngine(Object.assign({}, baseOptions, { rules }));
+  cli.addPlugin('i18next', rulePlugin);
+  const { results } = cli.executeOnFiles(patterns);
+
+  // literals of files which fail to parse would be missing
+  const failures = results.reduce((acc, result) => {
+    result.messages
+      .filter(message => message.fatal)
+      .forEach(({ line, column, message }) => {
+        acc.push(`${result.filePath}:${line}:${column} ${message}`);
+      });
+    return acc;
+  }, []);
+  if (failures.length) {
+    throw new Error(`Failed to parse files:\n${failures.join('\n')}`);
+  }
+
+  return results;
+}
+
+/**
+ * Run no-literal-string on files with the project's ESLint configuration
+ * @param {string[]} patterns files, directories or globs
+ * @param {object} [options]
+ * @param {object} [options.eslintOptions] extra CLIEngine options
+ * @param {function(object): object} [options.ruleOptions] adjusts the options
+ *  no-literal-string is configured with
+ * @returns {Array<{ filePath: string, line: number, column: number, code: string, text: string | null }>}
+ *  text is null if the literal or value can not be expressed as a translation
+ * @throws if any of the files fails to parse
+ */
+function collectLiterals(patterns, options) {
+  const { eslintOptions, ruleOptions = option => option } = options || {};
+  const records = [];
+  const collectorPlugin = Object.assign({}, plugin, {
+    rules: Object.assign({}, plugin.rules, {
+      [RULE]: createCollectorRule(
+        plugin.rules[RULE],
+        record => records.push(record),
+        ruleOptions
+      )
+    })
+  });
+
+  lintLiterals(patterns, { eslintOptions, plugin: collectorPlugin });
+  return records;
+}
+
+exports.lintLiterals = lintLiterals;
+exports.collectLiterals = collectLiterals;
+exports.createCollectorRule = createCollectorRule;
@@ -0,0 +1,306 @@
+/**
+ * @fileoverview shareable configs, as eslintrc and as flat configs
+ * @author edvardchen
+ */
+'use strict';
+
+// technical calls of every stack
+const COMMON_CALLEES = [
+  'console.log',
+  'console.info',
+  'console.warn',
+  'console.error',
+  'console.debug',
+  'querySelector',
+  'querySelectorAll',
+  'getAttribute',
+  'setAttribute',
+  'removeAttribute',
+  'createElement',
+  'matchMedia',
+  'localStorage.getItem',
+  'localStorage.setItem',
+  'localStorage.removeItem',
+  'sessionStorage.getItem',
+  'sessionStorage.setItem',
+  'sessionStorage.removeItem'
+];
+
+const COMMON_PROPERTIES = ['type', 'id', 'key', 'path', 'href', 'src'];
+
+const REACT = {
+  ignoreCallee: COMMON_CALLEES.concat([
+    'classNames',
+    'clsx',
+    'cx',
+    'styled',
+    'css',
+    'keyframes',
+    'navigate',
+    'history.push',
+    'history.replace'
+  ]),
+  ignoreProperties: COMMON_PROPERTIES.concat([
+    'displayName',
+    'className',
+    'to',
+    'variant',
+    'size',
+    'color'
+  ]),
+  // props design systems use for variants and routing
+  componentAttributes: [
+    'as',
+    'variant',
+    'size',
+    'color',
+    'icon',
+    'to',
+    'href',
+    'src',
+    'target',
+    'rel',
+    'name',
+    'role',
+    'htmlFor',
+    'data-*'
+  ]
+};
+
+const REACT_NATIVE = {
+  ignoreCallee: REACT.ignoreCallee.concat([
+    'StyleSheet.create',
+    'Platform.select',
+    'Linking.openURL',
+    'AsyncStorage.getItem',
+    'AsyncStorage.setItem',
+    'AsyncStorage.removeItem',
+    'AppRegistry.registerComponent',
+    'requireNativeComponent'
+  ]),
+  ignoreProperties: REACT.ignoreProperties.concat([
+    'testID',
+    'nativeID',
+    'accessibilityRole',
+    'keyboardType',
+    'returnKeyType',
+    'autoCapitalize',
+    'textContentType',
+    'resizeMode'
+  ]),
+  // every element is a component, only the props holding text are checked
+  translatableAttributes: [
+    'title',
+    'label',
+    'placeholder',
+    'accessibilityLabel',
+    'accessibilityHint'
+  ]
+};
+
+const STRICT_TRANSLATORS = { resolution: 'scope' };
+
+/**
+ * Presets by name, each with the rule options of a stack. `parser` names
+ * the parser module and `files` the files flat configs apply to.
+ */
+const PRESETS = {
+  recommended: {
+    rules: {
+      'i18next/no-literal-string': [2]
+    }
+  },
+
+  react: {
+    files: ['**/*.{js,jsx,mjs,cjs}'],
+    parserOptions: {
+      ecmaFeatures: {
+        jsx: true
+      }
+    },
+    rules: {
+      'i18next/no-literal-string': [
+        2,
+        {
+          ignoreCallee: REACT.ignoreCallee,
+          ignoreProperties: REACT.ignoreProperties,
+          attributes: {
+            ignore: { '*': REACT.componentAttributes }
+          }
+        }
+      ],
+      'i18next/no-invalid-trans': [2],
+      'i18next/no-concatenated-translation': [2]
+    }
+  },
+
+  'react-native': {
+    files: ['**/*.{js,jsx,mjs,cjs}'],
+    parserOptions: {
+      ecmaFeatures: {
+        jsx: true
+      }
+    },
+    rules: {
+      'i18next/no-literal-string': [
+        2,
+        {
+          ignoreCallee: REACT_NATIVE.ignoreCallee,
+          ignoreProperties: REACT_NATIVE.ignoreProperties,
+          attributes: {
+            components: 'translatable',
+            translatable: { '*': REACT_NATIVE.translatableAttributes }
+          }
+        }
+      ],
+      'i18next/no-invalid-trans': [2],
+      'i18next/no-concatenated-translation': [2]
+    }
+  },
+
+  vue: {
+    files: ['**/*.{js,mjs,cjs,vue}'],
+    parser: 'vue-eslint-parser',
+    parserOptions: {
+      ecmaVersion: 2018,
+      sourceType: 'module'
+    },
+    rules: {
+      'i18next/no-literal-string': [
+        2,
+        {
+          ignoreCallee: COMMON_CALLEES.concat([
+            '$emit',
+            '$on',
+            '$off',
+            '$once',
+            '$router.push',
+            '$router.replace',
+            'router.push',
+            'router.replace',
+            'defineEmits',
+            'inject',
+            'provide'
+          ]),
+          ignoreProperties: COMMON_PROPERTIES.concat([
+            'name',
+            'props',
+            'emits',
+            'components',
+            'directives',
+            'inject',
+            'component'
+          ]),
+          // $t and $tc are recognized by default
+          translators: { functions: ['tc', 'te', '$te'] }
+        }
+      ],
+      'i18next/no-concatenated-translation': [2]
+    }
+  },
+
+  typescript: {
+    files: ['**/*.{ts,tsx,mts,cts}'],
+    parser: '@typescript-eslint/parser',
+    parserOptions: {
+      ecmaFeatures: {
+        jsx: true
+      },
+      // type information is what makes the rules type-aware
+      project: './tsconfig.json'
+    },
+    rules: {
+      'i18next/no-literal-string': [
+        2,
+        {
+          ignoreCallee: COMMON_CALLEES,
+          ignoreProperties: COMMON_PROPERTIES,
+          brandedTypes: ['TranslatedString']
+        }
+      ],
+      // keys typed as unions of literals are resolved
+      'i18next/no-dynamic-translation-key': [2],
+      'i18next/no-concatenated-translation': [2]
+    }
+  },
+
+  strict: {
+    files: ['**/*.{js,jsx,mjs,cjs}'],
+    parserOptions: {
+      ecmaFeatures: {
+        jsx: true
+      }
+    },
+    rules: {
+      // strings shaped like identifiers are reported as well, and only
+      // translators bound by i18next are trusted
+      'i18next/no-literal-string': [
+        2,
+        {
+          detectors: { camelCase: false, pascalCase: false, kebabCase: false },
+          translators: STRICT_TRANSLATORS
+        }
+      ],
+      'i18next/no-invalid-trans': [2, { translators: STRICT_TRANSLATORS }],
+      'i18next/no-concatenated-translation': [
+        2,
+        { translators: STRICT_TRANSLATORS }
+      ],
+      'i18next/no-dynamic-translation-key': [
+        2,
+        { translators: STRICT_TRANSLATORS }
+      ]
+    }
+  }
+};
+
+function toLegacy(preset) {
+  const config = { plugins: ['i18next'] };
+  if (preset.parser) config.parser = preset.parser;
+  if (preset.parserOptions) config.parserOptions = preset.parserOptions;
+  config.rules = preset.rules;
+  return config;
+}
+
+function toFlat(name, preset, plugin) {
+  const config = { name: `i18next/${name}` };
+  if (preset.files) config.files = preset.files;
+  config.plugins = { i18next: plugin };
+  if (preset.parser || preset.parserOptions) {
+    config.languageOptions = {};
+    // only installed along with the stack which needs it
+    if (preset.parser) config.languageOptions.parser = require(preset.parser);
+    if (preset.parserOptions) {
+      config.languageOptions.parserOptions = preset.parserOptions;
+    }
+  }
+  config.rules = preset.rules;
+  return config;
+}
+
+/**
+ * Create the configs of the plugin, `<preset>` in eslintrc format for
+ * `extends: ['plugin:i18next/<preset>']` and `flat/<preset>` for
+ * eslint.config.js, which requires the parser of the preset once it is used
+ * @param {object} plugin the plugin flat configs refer to
+ * @returns {object}
+ */
+function createConfigs(plugin) {
+  const configs = {};
+  Object.keys(PRESETS).forEach(name => {
+    configs[name] = toLegacy(PRESETS[name]);
+
+    let flat;
+    Object.defineProperty(configs, `flat/${name}`, {
+      enumerable: true,
+      get() {
+        if (!flat) flat = toFlat(name, PRESETS[name], plugin);
+        return flat;
+      }
+    });
+  });
+  return configs;
+}
+
+exports.PRESETS = PRESETS;
+exports.createConfigs = createConfigs;
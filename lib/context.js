@@ -0,0 +1,47 @@
+/**
+ * @fileoverview read the rule context the same way across ESLint versions,
+ * ESLint 9 moved the scope and the parser services to the source code
+ * @author edvardchen
+ */
+'use strict';
+
+function getSourceCode(context) {
+  return context.sourceCode || context.getSourceCode();
+}
+
+/**
+ * @param {object} context rule context
+ * @returns {object} services of the parser, like defineTemplateBodyVisitor of
+ *  vue-eslint-parser or program of @typescript-eslint/parser
+ */
+function getParserServices(context) {
+  return context.parserServices || getSourceCode(context).parserServices || {};
+}
+
+/**
+ * @param {object} context rule context
+ * @param {object} node the node being visited, ESLint before 8.37 only
+ *  tells the scope of that one
+ * @returns {object} the innermost scope of node
+ */
+function getScope(context, node) {
+  const sourceCode = getSourceCode(context);
+  return sourceCode.getScope ? sourceCode.getScope(node) : context.getScope();
+}
+
+/**
+ * @param {object} context rule context
+ * @param {object} node a declaration, like a VariableDeclarator
+ * @returns {object[]} the variables node declares
+ */
+function getDeclaredVariables(context, node) {
+  const sourceCode = getSourceCode(context);
+  return sourceCode.getDeclaredVariables
+    ? sourceCode.getDeclaredVariables(node)
+    : context.getDeclaredVariables(node);
+}
+
+exports.getSourceCode = getSourceCode;
+exports.getParserServices = getParserServices;
+exports.getScope = getScope;
+exports.getDeclaredVariables = getDeclaredVariables;
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview tell in which syntactic context a literal string is used
+ * @author edvardchen
+ */
+'use strict';
+
+const CONTEXTS = [
+  // <div>abc</div>, <div>{'abc'}</div>
+  'jsxText',
+  // <img alt="abc" />
+  'jsxAttribute',
+  // { label: 'abc' }, class A { label = 'abc' }
+  'property',
+  // alert('abc')
+  'argument',
+  // const a = 'abc', a = 'abc'
+  'variable',
+  // return 'abc', () => 'abc'
+  'return',
+  // anything else like throw 'abc'
+  'other'
+];
+
+const MODES = {
+  all: CONTEXTS,
+  'jsx-only': ['jsxText', 'jsxAttribute'],
+  'jsx-text-only': ['jsxText']
+};
+
+const CONTEXTS_SCHEMA = {
+  type: 'object',
+  properties: CONTEXTS.reduce((acc, name) => {
+    acc[name] = { type: 'boolean' };
+    return acc;
+  }, {}),
+  additionalProperties: false
+};
+
+// expressions a literal is passed through, like a ? 'abc' : 'cde'
+const TRANSPARENT_TYPES = [
+  'ConditionalExpression',
+  'LogicalExpression',
+  'BinaryExpression',
+  'ArrayExpression',
+  'SequenceExpression',
+  'TemplateLiteral',
+  'TSAsExpression',
+  'TypeCastExpression'
+];
+
+/**
+ * @param {object} node Literal, TemplateLiteral, JSXText, VText or VLiteral
+ * @returns {{ name: string, node: object }} one of CONTEXTS and the node
+ *  making it, like the element, the JSXAttribute or the CallExpression
+ */
+function locateContext(node) {
+  if (node.type === 'JSXText' || node.type === 'VText') {
+    return { name: 'jsxText', node: node.parent };
+  }
+  if (node.type === 'VLiteral') {
+    return { name: 'jsxAttribute', node: node.parent };
+  }
+
+  let child = node;
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    let name;
+    switch (parent.type) {
+      case 'JSXAttribute':
+        name = 'jsxAttribute';
+        break;
+      case 'JSXElement':
+      case 'JSXFragment':
+        name = 'jsxText';
+        break;
+      // {{ 'abc' }} or :title="'abc'" in vue templates
+      case 'VExpressionContainer':
+        return {
+          name:
+            parent.parent.type === 'VAttribute' ? 'jsxAttribute' : 'jsxText',
+          node: parent.parent
+        };
+      case 'Property':
+      case 'ClassProperty':
+        name = parent.value === child ? 'property' : 'other';
+        break;
+      case 'CallExpression':
+      case 'NewExpression':
+        name = parent.arguments.includes(child) ? 'argument' : 'other';
+        break;
+      case 'VariableDeclarator':
+        name = parent.init === child ? 'variable' : 'other';
+        break;
+      case 'AssignmentExpression':
+        if (parent.right !== child) name = 'other';
+        // this.label = 'abc'
+        else if (parent.left.type === 'MemberExpression') name = 'property';
+        else name = 'variable';
+        break;
+      case 'ReturnStatement':
+        name = 'return';
+        break;
+      case 'ArrowFunctionExpression':
+        name = parent.body === child ? 'return' : 'other';
+        break;
+      case 'JSXExpressionContainer':
+        break;
+      default:
+        if (!TRANSPARENT_TYPES.includes(parent.type)) name = 'other';
+    }
+    if (name) return { name, node: parent };
+    child = parent;
+  }
+  return { name: 'other', node: node.parent };
+}
+
+/**
+ * @param {object} node Literal, TemplateLiteral, JSXText, VText or VLiteral
+ * @returns {string} one of CONTEXTS
+ */
+function getContext(node) {
+  return locateContext(node).name;
+}
+
+/**
+ * Create a filter of the contexts literals are reported in, from a mode
+ * preset and per-context flags on top of it
+ * @param {string} [mode] one of MODES, defaults to all
+ * @param {Object<string, boolean>} [contexts]
+ * @returns {{ isEnabled: function(object): boolean }}
+ */
+function createContextFilter(mode, contexts) {
+  const preset = MODES[mode || 'all'];
+  const enabled = CONTEXTS.reduce((acc, name) => {
+    acc[name] = preset.includes(name);
+    return acc;
+  }, {});
+  Object.assign(enabled, contexts);
+
+  return {
+    isEnabled(node) {
+      return enabled[getContext(node)];
+    }
+  };
+}
+
+exports.MODES = Object.keys(MODES);
+exports.CONTEXTS_SCHEMA = CONTEXTS_SCHEMA;
+exports.getContext = getContext;
+exports.locateContext = locateContext;
+exports.createContextFilter = createContextFilter;
@@ -0,0 +1,318 @@
+/**
+ * @fileoverview translation coverage of the literals no-literal-string reports
+ * @author edvardchen
+ */
+'use strict';
+
+const pathLib = require('path');
+const fs = require('fs');
+const { mkdirp } = require('./helper');
+
+const RULE_ID = 'i18next/no-literal-string';
+// reports of no-literal-string which are no untranslated literals
+const NON_LITERAL_MESSAGES = ['allowed', 'baselineError', 'staleBaseline'];
+const FORMATS = ['json', 'markdown', 'html'];
+
+// the formatter may be resolved from another copy of the plugin than the
+// one ESLint runs, so what the rule saw is shared through the global object
+const REGISTRY = Symbol.for('eslint-plugin-i18next.coverage');
+
+function getRegistry() {
+  if (!global[REGISTRY]) global[REGISTRY] = new Map();
+  return global[REGISTRY];
+}
+
+/**
+ * Record what no-literal-string saw in a file
+ * @param {string} filePath
+ * @param {{ literals: number, translations: number }} stats string literals
+ *  and translations like t() calls or <Trans> elements
+ */
+function recordFile(filePath, stats) {
+  getRegistry().set(pathLib.resolve(filePath), stats);
+}
+
+// so files linted by earlier runs in the process are not counted
+function clearRecords() {
+  getRegistry().clear();
+}
+
+function isUntranslated(message) {
+  return (
+    message.ruleId === RULE_ID &&
+    !NON_LITERAL_MESSAGES.includes(message.messageId)
+  );
+}
+
+function createEntry() {
+  return { files: 0, literals: 0, translations: 0, untranslated: 0 };
+}
+
+function add(entry, file) {
+  entry.files += 1;
+  entry.literals += file.literals;
+  entry.translations += file.translations;
+  entry.untranslated += file.untranslated;
+}
+
+// the share of texts for users which are translated, in percent
+function setCoverage(entry) {
+  const texts = entry.translations + entry.untranslated;
+  entry.coverage = texts
+    ? Math.round((entry.translations / texts) * 10000) / 100
+    : 100;
+  return entry;
+}
+
+function sortKeys(object) {
+  return Object.keys(object)
+    .sort()
+    .reduce((acc, key) => {
+      acc[key] = object[key];
+      return acc;
+    }, {});
+}
+
+/**
+ * Aggregate ESLint results into coverage by file and by directory, where
+ * every directory counts the files below it
+ * @param {object[]} results ESLint results
+ * @param {Map<string, object>} [stats] recorded by recordFile
+ * @param {string} [cwd] paths are relative to
+ * @returns {{ total: object, directories: object, files: object }}
+ */
+function createReport(results, stats = getRegistry(), cwd = process.cwd()) {
+  const total = createEntry();
+  const directories = {};
+  const files = {};
+
+  results.forEach(result => {
+    const recorded = stats.get(pathLib.resolve(result.filePath));
+    const untranslated = result.messages.filter(isUntranslated).length;
+    // the rule is not enabled for the file
+    if (!recorded && !untranslated) return;
+
+    const file = {
+      literals: recorded ? recorded.literals : untranslated,
+      translations: recorded ? recorded.translations : 0,
+      untranslated
+    };
+    const relative = pathLib
+      .relative(cwd, result.filePath)
+      .split(pathLib.sep)
+      .join('/');
+    files[relative] = setCoverage(file);
+    add(total, file);
+
+    let dir = pathLib.posix.dirname(relative);
+    for (;;) {
+      if (!directories[dir]) directories[dir] = createEntry();
+      add(directories[dir], file);
+      if (dir === '.' || dir === '/' || dir.startsWith('..')) break;
+      dir = pathLib.posix.dirname(dir);
+    }
+  });
+
+  Object.keys(directories).forEach(dir => setCoverage(directories[dir]));
+  return {
+    total: setCoverage(total),
+    directories: sortKeys(directories),
+    files: sortKeys(files)
+  };
+}
+
+function formatRow(name, entry) {
+  return `| ${name} | ${entry.coverage}% | ${entry.untranslated} | ${entry.translations} | ${entry.literals} |`;
+}
+
+/**
+ * @param {object} report see createReport
+ * @returns {string}
+ */
+function toMarkdown(report) {
+  const header = [
+    '| Path | Coverage | Untranslated | Translations | Literals |',
+    '| --- | ---: | ---: | ---: | ---: |'
+  ];
+  const table = entries =>
+    header
+      .concat(Object.keys(entries).map(name => formatRow(name, entries[name])))
+      .join('\n');
+
+  const { total } = report;
+  const texts = total.translations + total.untranslated;
+
+  return [
+    '# Translation coverage',
+    '',
+    `${total.coverage}% of ${texts} texts are translated, ${total.untranslated} literals in ${total.files} files are not.`,
+    '',
+    '## Directories',
+    '',
+    table(report.directories),
+    '',
+    '## Files',
+    '',
+    table(report.files),
+    ''
+  ].join('\n');
+}
+
+function escapeHTML(text) {
+  return String(text).replace(
+    /[&<>"]/g,
+    char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char])
+  );
+}
+
+/**
+ * @param {object} report see createReport
+ * @returns {string} a standalone page
+ */
+function toHTML(report) {
+  const table = entries => {
+    const rows = Object.keys(entries).map(name => {
+      const entry = entries[name];
+      const meter = `<meter min="0" max="100" value="${entry.coverage}"></meter>`;
+      const cells = [
+        escapeHTML(name),
+        `${meter} ${entry.coverage}%`,
+        entry.untranslated,
+        entry.translations,
+        entry.literals
+      ];
+      return `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`;
+    });
+    return `<table>
+<thead><tr><th>Path</th><th>Coverage</th><th>Untranslated</th><th>Translations</th><th>Literals</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>`;
+  };
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Translation coverage</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; margin-bottom: 2em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+</style>
+</head>
+<body>
+<h1>Translation coverage: ${report.total.coverage}%</h1>
+<p>${report.total.untranslated} untranslated literals and ${
+    report.total.translations
+  } translations in ${report.total.files} files.</p>
+<h2>Directories</h2>
+${table(report.directories)}
+<h2>Files</h2>
+${table(report.files)}
+</body>
+</html>
+`;
+}
+
+/**
+ * @param {string} type one of FORMATS
+ * @param {object} report see createReport
+ * @returns {string}
+ */
+function format(type, report) {
+  if (type === 'markdown') return toMarkdown(report);
+  if (type === 'html') return toHTML(report);
+  return JSON.stringify(report, null, 2);
+}
+
+/**
+ * @param {string} file markdown if it ends with .md, html otherwise
+ * @param {object} report see createReport
+ */
+function writeSummary(file, report) {
+  const summaryFormat = /\.md$/i.test(file) ? 'markdown' : 'html';
+  mkdirp(pathLib.dirname(pathLib.resolve(file)));
+  fs.writeFileSync(file, format(summaryFormat, report));
+}
+
+/**
+ * @param {object} report see createReport
+ * @param {object} previous a report stored before
+ * @param {number} threshold percentage points coverage may drop by
+ * @returns {string | null} why the coverage is not good enough
+ */
+function checkThreshold(report, previous, threshold) {
+  const drop = previous.total.coverage - report.total.coverage;
+  if (drop <= threshold) return null;
+  return `Translation coverage dropped from ${previous.total.coverage}% to ${report.total.coverage}%, by more than ${threshold} percentage points`;
+}
+
+function readPrevious(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    // the first run has nothing to compare with
+    if (e.code === 'ENOENT') return null;
+    throw new Error(`Failed to read coverage report ${file}: ${e.message}`);
+  }
+}
+
+/**
+ * ESLint formatter, configured by environment variables since formatters
+ * take no options:
+ * - I18NEXT_COVERAGE_FORMAT: json (default), markdown or html
+ * - I18NEXT_COVERAGE_SUMMARY: file to write a markdown (.md) or html summary to
+ * @param {object[]} results ESLint results
+ * @returns {string}
+ * @throws if no-literal-string did not run on a file in this run
+ */
+function formatter(results) {
+  const env = process.env;
+  const registry = getRegistry();
+
+  // ESLint reuses the results of unchanged files with --cache, without
+  // running the rule on them
+  const skipped = results.find(
+    result =>
+      !registry.has(pathLib.resolve(result.filePath)) &&
+      result.messages.some(isUntranslated)
+  );
+  if (skipped) {
+    throw new Error(
+      `No coverage was recorded for ${skipped.filePath}, run ESLint without --cache`
+    );
+  }
+
+  const report = createReport(results, registry);
+  // the next run in this process starts over
+  clearRecords();
+
+  const outputFormat = env.I18NEXT_COVERAGE_FORMAT || 'json';
+  if (!FORMATS.includes(outputFormat)) {
+    throw new Error(
+      `Unknown coverage format ${outputFormat}, use one of ${FORMATS.join(
+        ', '
+      )}`
+    );
+  }
+
+  const summary = env.I18NEXT_COVERAGE_SUMMARY;
+  if (summary) writeSummary(summary, report);
+
+  return format(outputFormat, report);
+}
+
+exports.FORMATS = FORMATS;
+exports.recordFile = recordFile;
+exports.clearRecords = clearRecords;
+exports.createReport = createReport;
+exports.toMarkdown = toMarkdown;
+exports.toHTML = toHTML;
+exports.format = format;
+exports.writeSummary = writeSummary;
+exports.checkThreshold = checkThreshold;
+exports.readPrevious = readPrevious;
+exports.formatter = formatter;
@@ -0,0 +1,167 @@
+/**
+ * @fileoverview enumerate the keys a translation key computed at runtime can take
+ * @author edvardchen
+ */
+'use strict';
+
+const { getParserServices } = require('./context');
+
+// // i18next-keys: status.active, status.inactive
+const ANNOTATION = /^\s*i18next-keys:(.*)$/;
+
+// upper bound of keys enumerated from union types
+const MAX_KEYS = 100;
+
+/**
+ * Split a key into its static text and the expressions computed at runtime,
+ * e.g. `status.${s}` and 'status.' + s give ['status.', s]
+ * @param {object} node the key
+ * @returns {Array<string | object>}
+ */
+function getKeyParts(node) {
+  switch (node.type) {
+    case 'JSXExpressionContainer':
+      return getKeyParts(node.expression);
+    case 'Literal':
+      return typeof node.value === 'string' ? [node.value] : [node];
+    case 'VLiteral':
+      return [node.value];
+    case 'TemplateLiteral':
+      return node.quasis.reduce(
+        (acc, quasi, i) =>
+          acc
+            .concat(quasi.value.cooked)
+            .concat(
+              i < node.expressions.length
+                ? getKeyParts(node.expressions[i])
+                : []
+            ),
+        []
+      );
+    case 'BinaryExpression':
+      if (node.operator === '+') {
+        return getKeyParts(node.left).concat(getKeyParts(node.right));
+      }
+      return [node];
+    default:
+      return [node];
+  }
+}
+
+/**
+ * @param {Array<string | object>} parts see getKeyParts
+ * @returns {string} the key with * for every expression, like status.*
+ */
+function getKeyShape(parts) {
+  return parts.map(part => (typeof part === 'string' ? part : '*')).join('');
+}
+
+/**
+ * @param {Array<string | object>} parts see getKeyParts
+ * @returns {RegExp} matching every key the parts can produce
+ */
+function getShapePattern(parts) {
+  const source = parts
+    .map(part =>
+      typeof part === 'string'
+        ? part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        : '.*'
+    )
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Create a resolver of the keys a dynamic key can take, declared by an
+ * annotation comment or, with @typescript-eslint/parser, by union types of
+ * string literals
+ * @param {object} context rule context
+ */
+function createKeyResolver(context) {
+  const sourceCode = context.getSourceCode();
+  const { program, esTreeNodeToTSNodeMap } = getParserServices(context);
+  const typeChecker =
+    program && esTreeNodeToTSNodeMap && program.getTypeChecker();
+
+  let annotations;
+  function getAnnotations() {
+    if (annotations) return annotations;
+    annotations = new Map();
+    sourceCode.getAllComments().forEach(comment => {
+      const match = ANNOTATION.exec(comment.value);
+      if (!match) return;
+      annotations.set(comment.loc.end.line, {
+        comment,
+        keys: match[1]
+          .split(',')
+          .map(key => key.trim())
+          .filter(Boolean)
+      });
+    });
+    return annotations;
+  }
+
+  // the literal values of a union type, like 'active' | 'inactive'
+  function getLiteralValues(node) {
+    if (!typeChecker || node.type === 'VLiteral') return null;
+    const tsNode = esTreeNodeToTSNodeMap.get(node);
+    if (!tsNode) return null;
+    const type = typeChecker.getTypeAtLocation(tsNode);
+    const types = type.isUnion() ? type.types : [type];
+    if (
+      !types.every(item => item.isStringLiteral() || item.isNumberLiteral())
+    ) {
+      return null;
+    }
+    return types.map(item => String(item.value));
+  }
+
+  /**
+   * The annotation on the line of the key or the line above
+   * @param {object} node the key
+   * @returns {{ comment: object, keys: string[] } | undefined}
+   */
+  function getAnnotation(node) {
+    const { line } = node.loc.start;
+    return getAnnotations().get(line) || getAnnotations().get(line - 1);
+  }
+
+  /**
+   * @param {Array<string | object>} parts see getKeyParts
+   * @returns {string[] | null} null if some part is no union of literals
+   *  or there are too many combinations
+   */
+  function getTypedKeys(parts) {
+    let keys = [''];
+    for (const part of parts) {
+      const values = typeof part === 'string' ? [part] : getLiteralValues(part);
+      if (!values) return null;
+      keys = keys.reduce(
+        (acc, key) => acc.concat(values.map(value => key + value)),
+        []
+      );
+      if (keys.length > MAX_KEYS) return null;
+    }
+    return keys;
+  }
+
+  return {
+    getAnnotation,
+    getTypedKeys,
+
+    /**
+     * @param {object} node the key
+     * @returns {string[] | null} null if the keys are unknown
+     */
+    resolveKeys(node) {
+      const annotation = getAnnotation(node);
+      if (annotation) return annotation.keys;
+      return getTypedKeys(getKeyParts(node));
+    }
+  };
+}
+
+exports.getKeyParts = getKeyParts;
+exports.getKeyShape = getKeyShape;
+exports.getShapePattern = getShapePattern;
+exports.createKeyResolver = createKeyResolver;
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview extract untranslated literals into an i18next catalog
+ * @author edvardchen
+ */
+'use strict';
+
+const fs = require('fs');
+const pathLib = require('path');
+const { collectLiterals } = require('./collect');
+const { generateKey } = require('./keygen');
+const { mkdirp } = require('./helper');
+
+function readJSON(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+}
+
+function writeJSON(file, data) {
+  mkdirp(pathLib.dirname(file));
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+}
+
+function getSourcesPath(output) {
+  return output.replace(/\.json$/, '') + '.sources.json';
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Set a key in a catalog unless it is translated already
+ * @returns {'added' | 'exists' | 'conflict'} conflict if a parent of the key
+ *  is no object or the key itself is not a string
+ */
+function setValue(catalog, key, value, keySeparator) {
+  const segments = keySeparator === false ? [key] : key.split(keySeparator);
+  const last = segments.pop();
+
+  let parent = catalog;
+  for (const segment of segments) {
+    if (parent[segment] === undefined) parent[segment] = {};
+    if (!isObject(parent[segment])) return 'conflict';
+    parent = parent[segment];
+  }
+
+  if (parent[last] === undefined) {
+    parent[last] = value;
+    return 'added';
+  }
+  return typeof parent[last] === 'string' ? 'exists' : 'conflict';
+}
+
+/**
+ * Extract the literals no-literal-string reports into an i18next catalog,
+ * keeping the values already in there
+ * @param {string[]} patterns files, directories or globs to lint
+ * @param {object} options
+ * @param {string} options.output catalog to merge into
+ * @param {string} [options.keyStrategy] see generateKey
+ * @param {string} [options.keyRoot] directory file paths are relative to
+ * @param {string | false} [options.keySeparator] separator of nested keys,
+ *  there is none by default with the literal strategy, whose keys are
+ *  sentences
+ * @param {object} [options.eslintOptions] extra CLIEngine options
+ * @returns {{ output: string, sources: string, literals: number, added: number, existing: number, conflicts: string[], skipped: object[] }}
+ */
+function extract(patterns, options) {
+  const {
+    output,
+    keyStrategy = 'path',
+    keyRoot = process.cwd(),
+    keySeparator = keyStrategy === 'literal' ? false : '.',
+    eslintOptions
+  } = options;
+
+  const records = collectLiterals(patterns, { eslintOptions });
+  const catalog = readJSON(output);
+  const sources = {};
+  const summary = {
+    output,
+    sources: getSourcesPath(output),
+    literals: records.length,
+    added: 0,
+    existing: 0,
+    conflicts: [],
+    skipped: []
+  };
+
+  records.forEach(record => {
+    // e.g. template literals with complex expressions
+    if (!record.text) {
+      summary.skipped.push(record);
+      return;
+    }
+
+    const key = generateKey(record.text, {
+      strategy: keyStrategy,
+      filename: record.filePath,
+      root: keyRoot
+    });
+
+    const status = setValue(catalog, key, record.text, keySeparator);
+    if (status === 'conflict') {
+      summary.conflicts.push(key);
+      return;
+    }
+    if (status === 'added') summary.added++;
+    else summary.existing++;
+
+    sources[key] = (sources[key] || []).concat({
+      file: pathLib.relative(keyRoot, record.filePath),
+      line: record.line,
+      column: record.column
+    });
+  });
+
+  writeJSON(output, catalog);
+  writeJSON(summary.sources, sources);
+  return summary;
+}
+
+exports.extract = extract;
+exports.getSourcesPath = getSourcesPath;
@@ -1,3 +1,5 @@
+const fs = require('fs');
+const pathLib = require('path');
 const { DOM_TAGS, SVG_TAGS } = require('./constants');
 
 function isUpperCase(str) {
@@ -12,14 +14,70 @@ function isSvgTag(str) {
   return SVG_TAGS.includes(str);
 }
 
-const blacklistAttrs = ['placeholder', 'alt', 'aria-label', 'value'];
-function isAllowedDOMAttr(tag, attr) {
-  if (isSvgTag(tag)) return true;
-  if (isNativeDOMTag(tag)) {
-    return !blacklistAttrs.includes(attr);
+// 'a' + b and `a${b}`, but not tagged templates like css`a${b}`
+function isConcatenation(node) {
+  if (node.type === 'BinaryExpression') return node.operator === '+';
+  return (
+    node.type === 'TemplateLiteral' &&
+    node.parent.type !== 'TaggedTemplateExpression'
+  );
+}
+
+/**
+ * The fragments a concatenation is made of, 'a' + `b${c}` gives the texts
+ * 'a' and 'b' and the expression c
+ * @param {object} node
+ * @returns {Array<{ text: string } | { expression: object }>}
+ */
+function getFragments(node) {
+  if (node.type === 'Literal' && typeof node.value === 'string') {
+    return [{ text: node.value }];
+  }
+  if (!isConcatenation(node)) return [{ expression: node }];
+  if (node.type === 'BinaryExpression') {
+    return getFragments(node.left).concat(getFragments(node.right));
+  }
+  return node.quasis.reduce(
+    (acc, quasi, i) =>
+      acc
+        .concat({ text: quasi.value.cooked })
+        .concat(
+          i < node.expressions.length ? getFragments(node.expressions[i]) : []
+        ),
+    []
+  );
+}
+
+/**
+ * Static attribute of an element, like i18nKey="key" of a JSX element or
+ * lang="json" of a Vue element, but not the directive :lang="lang"
+ * @param {object} element JSXOpeningElement or VElement
+ * @param {string} name
+ * @returns {object | undefined} JSXAttribute or VAttribute
+ */
+function getAttribute(element, name) {
+  if (element.type === 'VElement') {
+    return element.startTag.attributes.find(
+      attribute => !attribute.directive && attribute.key.name === name
+    );
   }
-  return false;
+  return element.attributes.find(
+    attribute =>
+      attribute.type === 'JSXAttribute' && attribute.name.name === name
+  );
+}
+
+// fs.mkdirSync has no recursive option before node 10.12
+function mkdirp(dir) {
+  if (fs.existsSync(dir)) return;
+  mkdirp(pathLib.dirname(dir));
+  fs.mkdirSync(dir);
 }
 
 exports.isUpperCase = isUpperCase;
-exports.isAllowedDOMAttr = isAllowedDOMAttr;
+exports.isNativeDOMTag = isNativeDOMTag;
+exports.isSvgTag = isSvgTag;
+exports.isConcatenation = isConcatenation;
+exports.getFragments = getFragments;
+exports.getAttribute = getAttribute;
+exports.mkdirp = mkdirp;
@@ -9,6 +9,7 @@
 //------------------------------------------------------------------------------
 
 var requireIndex = require('requireindex');
+var { createConfigs } = require('./configs');
 
 //------------------------------------------------------------------------------
 // Plugin Definition
@@ -17,11 +18,4 @@ var requireIndex = require('requireindex');
 // import all rules in lib/rules
 module.exports.rules = requireIndex(__dirname + '/rules');
 
-module.exports.configs = {
-  recommended: {
-    plugins: ['i18next'],
-    rules: {
-      'i18next/no-literal-string': [2]
-    }
-  }
-};
+module.exports.configs = createConfigs(module.exports);
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview parse i18next interpolation placeholders and nestings
+ * @author edvardchen
+ */
+'use strict';
+
+// {{name}}, {{- html}}, {{price, currency(EUR)}}, {{user.name}}
+const PLACEHOLDER = /\{\{(.+?)\}\}/g;
+// $t(key) and $t(key, { "count": 2 })
+const NESTING = /\$t\(([^,)]+?)\s*(?:,\s*(\{.*?\}))?\s*\)/g;
+// keys of the options object of a nesting
+const NESTING_OPTION = /"([^"]+)"\s*:/g;
+
+function matchAll(regex, text) {
+  const matches = [];
+  regex.lastIndex = 0;
+  for (let match = regex.exec(text); match; match = regex.exec(text)) {
+    matches.push(match);
+  }
+  return matches;
+}
+
+/**
+ * Name of the variable a placeholder reads, e.g. user for {{- user.name, uppercase}}
+ * @param {string} placeholder content between the braces
+ * @returns {string}
+ */
+function getVariableName(placeholder) {
+  const [name] = placeholder.replace(/^\s*-/, '').split(',');
+  return name.trim().split('.')[0];
+}
+
+/**
+ * Variables and nested translations a translation value refers to
+ * @param {string} value
+ * @returns {{ variables: string[], nestings: Array<{ key: string, options: string[] }> }}
+ *  options are the variables passed to the nested translation explicitly
+ */
+function parseInterpolation(value) {
+  const variables = matchAll(PLACEHOLDER, value)
+    .map(match => getVariableName(match[1]))
+    .filter(Boolean);
+
+  const nestings = matchAll(NESTING, value).map(match => ({
+    key: match[1].trim().replace(/^(['"])(.*)\1$/, '$2'),
+    options: match[2]
+      ? matchAll(NESTING_OPTION, match[2]).map(option => option[1])
+      : []
+  }));
+
+  return {
+    variables: Array.from(new Set(variables)),
+    nestings
+  };
+}
+
+exports.getVariableName = getVariableName;
+exports.parseInterpolation = parseInterpolation;
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview generate translation keys for literal strings
+ * @author edvardchen
+ */
+'use strict';
+
+const crypto = require('crypto');
+const pathLib = require('path');
+
+const KEY_STRATEGIES = ['path', 'hash', 'literal'];
+
+// keep generated keys readable in catalogs
+const MAX_SLUG_LENGTH = 40;
+
+function slugify(text) {
+  const words = text
+    .toLowerCase()
+    .replace(/\{\{\s*([^}\s]+)\s*\}\}/g, '$1')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+  let slug = '';
+  for (const word of words) {
+    const next = slug ? `${slug}_${word}` : word;
+    if (slug && next.length > MAX_SLUG_LENGTH) break;
+    slug = next;
+  }
+  return slug.slice(0, MAX_SLUG_LENGTH) || 'text';
+}
+
+function hash(text) {
+  return crypto
+    .createHash('md5')
+    .update(text)
+    .digest('hex')
+    .slice(0, 10);
+}
+
+function pathPrefix(filename, root) {
+  const relative = pathLib.relative(root, filename);
+  const parsed = pathLib.parse(relative);
+  return pathLib
+    .join(parsed.dir, parsed.name)
+    .split(/[\\/]/)
+    .map(segment => segment.replace(/[^A-Za-z0-9_-]+/g, ''))
+    .filter(segment => segment && segment !== '..')
+    .join('.');
+}
+
+/**
+ * Generate a translation key for the given text
+ * @param {string} text the user-facing text, with {{}} placeholders
+ * @param {object} options
+ * @param {string} [options.strategy] one of 'path', 'hash', 'literal'
+ * @param {string} [options.filename] file the text comes from
+ * @param {string} [options.root] directory that file paths are relative to
+ * @returns {string}
+ */
+function generateKey(text, options) {
+  const { strategy = 'path', filename = '', root = process.cwd() } =
+    options || {};
+
+  switch (strategy) {
+    case 'literal':
+      return text;
+    case 'hash':
+      return hash(text);
+    case 'path': {
+      const prefix = pathPrefix(filename, root);
+      return prefix ? `${prefix}.${slugify(text)}` : slugify(text);
+    }
+    default:
+      throw new Error(`Unknown key strategy: ${strategy}`);
+  }
+}
+
+exports.KEY_STRATEGIES = KEY_STRATEGIES;
+exports.generateKey = generateKey;
+exports.slugify = slugify;
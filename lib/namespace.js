@@ -0,0 +1,125 @@
+/**
+ * @fileoverview resolve the i18next namespaces translations are looked up in
+ * @author edvardchen
+ */
+'use strict';
+
+const { createBindingResolver } = require('./binding');
+const { getStaticKeys, getOptionsArgument } = require('./translator');
+const { getAttribute } = require('./helper');
+
+function getPropertyValue(node, name) {
+  if (!node || node.type !== 'ObjectExpression') return undefined;
+  const property = node.properties.find(
+    item =>
+      item.type === 'Property' &&
+      !item.computed &&
+      (item.key.name === name || item.key.value === name)
+  );
+  return property && property.value;
+}
+
+function getAttributeValue(openingElement, name) {
+  const attribute = getAttribute(openingElement, name);
+  return attribute && attribute.value;
+}
+
+/**
+ * @param {object} [node] e.g. 'common' or ['common', 'billing']
+ * @returns {string[] | null | undefined} undefined if there is no node,
+ *  null if it is dynamic
+ */
+function getNamespaces(node) {
+  return node ? getStaticKeys(node) : undefined;
+}
+
+/**
+ * @returns {string | null | undefined} undefined if there is no node,
+ *  null if it is dynamic
+ */
+function getKeyPrefix(node) {
+  const keys = getNamespaces(node);
+  if (!keys) return keys;
+  return keys.length === 1 ? keys[0] : null;
+}
+
+/**
+ * Scope of a translation, namespaces undefined stands for the default
+ * namespace and null for namespaces which are only known at runtime
+ * @typedef {{ namespaces: string[] | null | undefined, keyPrefix: string | undefined }} TranslationScope
+ */
+
+/**
+ * Create a resolver of the namespaces a translation is looked up in,
+ * following t to where it is bound, like useTranslation('billing')
+ * @param {object} context rule context
+ * @param {string[]} [modules] modules exporting i18next bindings
+ */
+function createNamespaceResolver(context, modules) {
+  const bindings = createBindingResolver(context, modules);
+
+  // the scope t is bound to
+  function resolveBinding(binding) {
+    if (!binding) return { namespaces: undefined, keyPrefix: undefined };
+    const { kind, node } = binding;
+    switch (kind) {
+      // useTranslation('ns', { keyPrefix }), withTranslation('ns')
+      case 'hook':
+      case 'hoc':
+        return {
+          namespaces: getNamespaces(node.arguments[0]),
+          keyPrefix: getKeyPrefix(
+            getPropertyValue(node.arguments[1], 'keyPrefix')
+          )
+        };
+      // i18n.getFixedT(lng, ns, keyPrefix)
+      case 'fixedT':
+        return {
+          namespaces: getNamespaces(node.arguments[1]),
+          keyPrefix: getKeyPrefix(node.arguments[2])
+        };
+      // <Translation ns="ns" keyPrefix="prefix">
+      case 'renderProp':
+        return resolveElement(node.openingElement);
+      default:
+        return { namespaces: undefined, keyPrefix: undefined };
+    }
+  }
+
+  /**
+   * @param {object} openingElement e.g. of <Trans ns="common">
+   * @returns {TranslationScope | null} null if the key prefix is dynamic
+   */
+  function resolveElement(openingElement) {
+    const keyPrefix = getKeyPrefix(
+      getAttributeValue(openingElement, 'keyPrefix')
+    );
+    if (keyPrefix === null) return null;
+    return {
+      namespaces: getNamespaces(getAttributeValue(openingElement, 'ns')),
+      keyPrefix
+    };
+  }
+
+  return {
+    /**
+     * @param {object} node CallExpression of t()
+     * @returns {TranslationScope | null} null if the key prefix is dynamic
+     */
+    resolveCall(node) {
+      const scope = resolveBinding(bindings.resolveCallee(node.callee));
+      if (!scope || scope.keyPrefix === null) return null;
+
+      // t('key', { ns: 'common' })
+      const ns = getPropertyValue(getOptionsArgument(node), 'ns');
+      return {
+        namespaces: ns ? getNamespaces(ns) : scope.namespaces,
+        keyPrefix: scope.keyPrefix
+      };
+    },
+
+    resolveElement
+  };
+}
+
+exports.createNamespaceResolver = createNamespaceResolver;
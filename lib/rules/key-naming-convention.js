@@ -0,0 +1,212 @@
+/**
+ * @fileoverview enforce a naming convention for translation keys
+ * @author edvardchen
+ */
+'use strict';
+
+const pathLib = require('path');
+const {
+  createTranslators,
+  createKeyVisitor,
+  TRANSLATORS_SCHEMA
+} = require('../translator');
+const { splitNamespace, SEPARATOR_SCHEMA } = require('../catalog');
+
+const CASES = {
+  camelCase: /^[a-z][a-zA-Z\d]*$/,
+  PascalCase: /^[A-Z][a-zA-Z\d]*$/,
+  snake_case: /^[a-z][a-z\d]*(?:_[a-z\d]+)*$/,
+  'kebab-case': /^[a-z][a-z\d]*(?:-[a-z\d]+)*$/,
+  SCREAMING_SNAKE_CASE: /^[A-Z][A-Z\d]*(?:_[A-Z\d]+)*$/
+};
+
+/**
+ * Compile a glob of file paths, where * matches anything but slashes and **
+ * matches any number of directories
+ * @param {string} glob like src/billing/**
+ * @returns {RegExp}
+ */
+function compileGlob(glob) {
+  const source = glob
+    .split(/(\*\*\/|\*\*|\*)/)
+    .map(part => {
+      if (part === '**/') return '(?:.*/)?';
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'enforce a naming convention for translation keys',
+      category: 'Stylistic Issues',
+      recommended: false
+    },
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          case: {
+            enum: Object.keys(CASES)
+          },
+          minDepth: {
+            type: 'integer',
+            minimum: 1
+          },
+          maxDepth: {
+            type: 'integer',
+            minimum: 1
+          },
+          prefixes: {
+            type: 'object',
+            additionalProperties: { type: 'string' }
+          },
+          forbiddenCharacters: {
+            type: 'string'
+          },
+          maxLength: {
+            type: 'integer',
+            minimum: 1
+          },
+          keySeparator: SEPARATOR_SCHEMA,
+          nsSeparator: SEPARATOR_SCHEMA,
+          translators: TRANSLATORS_SCHEMA
+        },
+        additionalProperties: false
+      }
+    ]
+  },
+
+  create: function(context) {
+    const option = context.options[0] || {};
+    const {
+      minDepth,
+      maxDepth,
+      maxLength,
+      forbiddenCharacters = '',
+      prefixes = {},
+      keySeparator = '.',
+      nsSeparator = ':'
+    } = option;
+    const translators = createTranslators(option);
+
+    // the first glob matching the linted file, relative to the working directory
+    const filename = pathLib
+      .relative(process.cwd(), context.getFilename())
+      .split(pathLib.sep)
+      .join('/');
+    const glob = Object.keys(prefixes).find(item =>
+      compileGlob(item).test(filename)
+    );
+    const prefix = glob && prefixes[glob];
+
+    //----------------------------------------------------------------------
+    // Helpers
+    //----------------------------------------------------------------------
+
+    function report(node, message, data) {
+      context.report({ node, message, data });
+    }
+
+    /**
+     * @param {object} node the key literal
+     * @param {string} fullKey
+     */
+    function checkKey(node, fullKey) {
+      // the namespace is not part of the key
+      const { key } = splitNamespace(fullKey, nsSeparator);
+      const segments = keySeparator ? key.split(keySeparator) : [key];
+
+      if (maxLength && key.length > maxLength) {
+        report(
+          node,
+          "Translation key '{{ key }}' is longer than {{ maxLength }} characters",
+          { key, maxLength }
+        );
+      }
+
+      const forbidden = [...forbiddenCharacters].find(char =>
+        key.includes(char)
+      );
+      if (forbidden) {
+        report(
+          node,
+          "Translation key '{{ key }}' contains the forbidden character '{{ char }}'",
+          { key, char: forbidden }
+        );
+      }
+
+      if (minDepth && segments.length < minDepth) {
+        report(
+          node,
+          "Translation key '{{ key }}' has {{ depth }} segments, expected at least {{ minDepth }}",
+          { key, depth: segments.length, minDepth }
+        );
+      }
+      if (maxDepth && segments.length > maxDepth) {
+        report(
+          node,
+          "Translation key '{{ key }}' has {{ depth }} segments, expected at most {{ maxDepth }}",
+          { key, depth: segments.length, maxDepth }
+        );
+      }
+
+      if (option.case) {
+        const segment = segments.find(item => !CASES[option.case].test(item));
+        if (segment !== undefined) {
+          report(
+            node,
+            "Segment '{{ segment }}' of translation key '{{ key }}' is not {{ style }}",
+            { key, segment, style: option.case }
+          );
+        }
+      }
+
+      if (prefix && !key.startsWith(`${prefix}${keySeparator || ''}`)) {
+        report(
+          node,
+          "Translation key '{{ key }}' has to start with '{{ prefix }}' in files matching {{ glob }}",
+          { key, prefix: `${prefix}${keySeparator || ''}`, glob }
+        );
+      }
+    }
+
+    // reports at every static key literal, e.g. of t(['a', 'b']), dynamic
+    // keys are left to no-dynamic-translation-key
+    function check(node) {
+      switch (node.type) {
+        case 'JSXExpressionContainer':
+          check(node.expression);
+          break;
+        case 'ArrayExpression':
+          node.elements.filter(Boolean).forEach(check);
+          break;
+        case 'Literal':
+          if (typeof node.value === 'string') checkKey(node, node.value);
+          break;
+        case 'VLiteral':
+          checkKey(node, node.value);
+          break;
+        case 'TemplateLiteral':
+          if (!node.expressions.length) {
+            checkKey(node, node.quasis[0].value.cooked);
+          }
+          break;
+      }
+    }
+
+    //----------------------------------------------------------------------
+    // Public
+    //----------------------------------------------------------------------
+
+    return createKeyVisitor(context, translators, check);
+  }
+};
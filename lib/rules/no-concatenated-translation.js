@@ -0,0 +1,164 @@
+/**
+ * @fileoverview disallow concatenating translations with other strings
+ * @author edvardchen
+ */
+'use strict';
+
+const {
+  createTranslators,
+  getStaticString,
+  TRANSLATORS_SCHEMA
+} = require('../translator');
+const { getPlaceholderName, buildCall } = require('../autofix');
+const { isConcatenation, getFragments } = require('../helper');
+const { getParserServices } = require('../context');
+
+// t('key') with nothing but a static key
+function getStaticKey(call) {
+  if (call.arguments.length !== 1) return null;
+  return getStaticString(call.arguments[0]);
+}
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'disallow concatenating translations with other strings',
+      category: 'Best Practices',
+      recommended: false
+    },
+    // the merged call looks up another key, so it is never applied by --fix
+    hasSuggestions: true,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          translators: TRANSLATORS_SCHEMA
+        },
+        additionalProperties: false
+      }
+    ]
+  },
+
+  create: function(context) {
+    const option = context.options[0] || {};
+    const translators = createTranslators(option);
+    const sourceCode = context.getSourceCode();
+
+    //----------------------------------------------------------------------
+    // Helpers
+    //----------------------------------------------------------------------
+
+    function isTranslation(fragment) {
+      const { expression } = fragment;
+      return (
+        Boolean(expression) &&
+        expression.type === 'CallExpression' &&
+        translators.isTranslatorCall(context, expression)
+      );
+    }
+
+    /**
+     * Merge the fragments into a single translation call, with the keys of
+     * the translations as text. Only for translations with nothing but a
+     * static key, by the same function, and values which can be named.
+     * @returns {string | null} the call, null if it can not be merged
+     */
+    function merge(fragments) {
+      const translations = fragments.filter(isTranslation);
+      const callee = sourceCode.getText(translations[0].expression.callee);
+      const values = [];
+      let text = '';
+
+      for (const fragment of fragments) {
+        if ('text' in fragment) {
+          text += fragment.text;
+        } else if (isTranslation(fragment)) {
+          const { expression } = fragment;
+          const key = getStaticKey(expression);
+          if (
+            key === null ||
+            sourceCode.getText(expression.callee) !== callee
+          ) {
+            return null;
+          }
+          text += key;
+        } else {
+          const name = getPlaceholderName(fragment.expression);
+          if (!name) return null;
+          const code = sourceCode.getText(fragment.expression);
+          const existing = values.find(value => value.name === name);
+          // a.name + b.name would need renaming, leave it to humans
+          if (existing && existing.code !== code) return null;
+          if (!existing) values.push({ name, code });
+          text += `{{${name}}}`;
+        }
+      }
+      return buildCall(text, values, callee);
+    }
+
+    /**
+     * @param {object} node
+     * @param {boolean} [inTemplate] whether node is in a vue template, where
+     *  {{name}} would end the mustache it is in
+     */
+    function check(node, inTemplate) {
+      if (isConcatenation(node.parent)) return;
+
+      const fragments = getFragments(node);
+      // t('key') + ' ' is padding rather than a sentence
+      const meaningful = fragments.filter(
+        fragment => !('text' in fragment) || fragment.text.trim()
+      );
+      if (!meaningful.some(isTranslation) || meaningful.length < 2) return;
+
+      const call = !inTemplate && merge(fragments);
+      context.report({
+        node,
+        message:
+          'Do not concatenate translations with other strings, interpolate them into a single translation instead',
+        suggest: call
+          ? [
+              {
+                desc: `Merge into ${call}`,
+                fix: fixer => fixer.replaceText(node, call)
+              }
+            ]
+          : []
+      });
+    }
+
+    //----------------------------------------------------------------------
+    // Public
+    //----------------------------------------------------------------------
+
+    const scriptVisitor = {
+      'BinaryExpression[operator="+"]': check,
+
+      TemplateLiteral(node) {
+        if (node.parent.type !== 'TaggedTemplateExpression') check(node);
+      }
+    };
+
+    const parserServices = getParserServices(context);
+    if (!parserServices.defineTemplateBodyVisitor) {
+      return scriptVisitor;
+    }
+    return parserServices.defineTemplateBodyVisitor(
+      {
+        'VExpressionContainer BinaryExpression[operator="+"]'(node) {
+          check(node, true);
+        },
+        'VExpressionContainer TemplateLiteral'(node) {
+          if (node.parent.type !== 'TaggedTemplateExpression') {
+            check(node, true);
+          }
+        }
+      },
+      scriptVisitor
+    );
+  }
+};
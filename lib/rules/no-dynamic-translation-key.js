@@ -0,0 +1,106 @@
+/**
+ * @fileoverview disallow translation keys computed at runtime
+ * @author edvardchen
+ */
+'use strict';
+
+const {
+  createTranslators,
+  createKeyVisitor,
+  compilePattern,
+  getStaticKeys,
+  TRANSLATORS_SCHEMA
+} = require('../translator');
+const {
+  getKeyParts,
+  getKeyShape,
+  getShapePattern,
+  createKeyResolver
+} = require('../dynamic-key');
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'disallow translation keys computed at runtime',
+      category: 'Best Practices',
+      recommended: false
+    },
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          allowedKeys: {
+            type: 'array',
+            items: {
+              type: 'string'
+            }
+          },
+          translators: TRANSLATORS_SCHEMA
+        },
+        additionalProperties: false
+      }
+    ]
+  },
+
+  create: function(context) {
+    const option = context.options[0] || {};
+    const translators = createTranslators(option);
+    const allowedKeys = (option.allowedKeys || []).map(compilePattern);
+    const keyResolver = createKeyResolver(context);
+
+    //----------------------------------------------------------------------
+    // Helpers
+    //----------------------------------------------------------------------
+
+    function check(node) {
+      // t(['key', 'fallback'])
+      if (node.type === 'ArrayExpression') {
+        node.elements.filter(Boolean).forEach(check);
+        return;
+      }
+      if (node.type === 'JSXExpressionContainer') {
+        check(node.expression);
+        return;
+      }
+      if (getStaticKeys(node)) return;
+
+      const parts = getKeyParts(node);
+      const shape = getKeyShape(parts);
+      // status.* for t(`status.${s}`)
+      if (allowedKeys.some(regexp => regexp.test(shape))) return;
+
+      const annotation = keyResolver.getAnnotation(node);
+      if (annotation) {
+        const pattern = getShapePattern(parts);
+        annotation.keys
+          .filter(key => !pattern.test(key))
+          .forEach(key => {
+            context.report({
+              loc: annotation.comment.loc,
+              message: "Annotated key '{{ key }}' does not match {{ shape }}",
+              data: { key, shape }
+            });
+          });
+        return;
+      }
+      if (keyResolver.getTypedKeys(parts)) return;
+
+      context.report({
+        node,
+        message:
+          'Translation key {{ code }} is computed at runtime, declare the keys it can take',
+        data: { code: context.getSourceCode().getText(node) }
+      });
+    }
+
+    //----------------------------------------------------------------------
+    // Public
+    //----------------------------------------------------------------------
+
+    return createKeyVisitor(context, translators, check);
+  }
+};
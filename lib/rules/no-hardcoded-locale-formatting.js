@@ -0,0 +1,342 @@
+/**
+ * @fileoverview disallow formatting values for a hardcoded locale
+ * @author edvardchen
+ */
+'use strict';
+
+const { isConcatenation, getFragments } = require('../helper');
+const { getParserServices } = require('../context');
+const { getStaticString } = require('../translator');
+
+// methods formatting for a locale, by the index of the locale argument
+const LOCALE_METHODS = {
+  toLocaleString: 0,
+  toLocaleDateString: 0,
+  toLocaleTimeString: 0,
+  toLocaleUpperCase: 0,
+  toLocaleLowerCase: 0,
+  localeCompare: 1
+};
+
+const INTL_CONSTRUCTORS = [
+  'Collator',
+  'DateTimeFormat',
+  'DisplayNames',
+  'ListFormat',
+  'Locale',
+  'NumberFormat',
+  'PluralRules',
+  'RelativeTimeFormat',
+  'Segmenter'
+];
+
+// moment, dayjs and luxon (format, toFormat) and date-fns (format)
+const FORMAT_FUNCTIONS = [
+  'format',
+  'toFormat',
+  'formatDate',
+  'formatInTimeZone'
+];
+
+// tokens of moment, dayjs, luxon and date-fns patterns
+const DATE_TOKEN =
+  '(?:Y{2,4}|y{2,4}|M{1,4}|Do|D{1,2}|d{1,2}|H{1,2}|h{1,2}|m{1,2}|s{1,2}|A|a)';
+const DATE_SEPARATOR = /[\s/.,:-]/;
+const DATE_PATTERN = new RegExp(
+  `^(?:${DATE_TOKEN}|${DATE_SEPARATOR.source})+$`
+);
+const DAY_MONTH_YEAR = /Y{2,4}|y{2,4}|M{1,4}|D{1,2}|d{1,2}/;
+// year first is the machine readable ISO 8601, like YYYY-MM-DD HH:mm
+const ISO_DATE = /^(?:YYYY|yyyy)-MM(?:-(?:DD|dd))?(?:[T ]HH:mm(?::ss)?)?$/;
+
+// the currency symbols of the Basic Multilingual Plane, as \p{Sc} is a
+// syntax error before node 10
+const CURRENCY = '[$¢£¤¥֏؋߾߿৲৳৻૱௹฿៛\u20a0-\u20c0꠸﷼﹩＄￠￡￥￦]';
+const CURRENCY_BEFORE = new RegExp(`(${CURRENCY})\\s*$`);
+// but not placeholders like '${' + name + '}'
+const CURRENCY_AFTER = new RegExp(`^\\s*(${CURRENCY})(?!\\{)`);
+
+function getName(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'MemberExpression' && !node.computed) {
+    return node.property.name;
+  }
+  return null;
+}
+
+// new RegExp('^' + prefix + '$')
+function isRegExp(node) {
+  return (
+    ['CallExpression', 'NewExpression'].includes(node.type) &&
+    node.callee.type === 'Identifier' &&
+    node.callee.name === 'RegExp'
+  );
+}
+
+function isDefaultLocale(node) {
+  return (
+    !node ||
+    (node.type === 'Identifier' && node.name === 'undefined') ||
+    (node.type === 'ArrayExpression' && !node.elements.length)
+  );
+}
+
+/**
+ * @param {string} text
+ * @returns {boolean} whether text is a date pattern bound to the order and
+ *  separators of one locale, like MM/DD/YYYY
+ */
+function isLocaleDatePattern(text) {
+  const tokens = text.match(new RegExp(DATE_TOKEN, 'g'));
+  return (
+    DATE_PATTERN.test(text) &&
+    DATE_SEPARATOR.test(text) &&
+    Boolean(tokens) &&
+    tokens.length > 1 &&
+    DAY_MONTH_YEAR.test(text) &&
+    !ISO_DATE.test(text)
+  );
+}
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'disallow formatting values for a hardcoded locale',
+      category: 'Best Practices',
+      recommended: false
+    },
+    messages: {
+      hardcodedLocale:
+        'Do not hardcode the locale {{ locale }}, pass {{ expected }} instead',
+      defaultLocale:
+        '{{ callee }} formats for the default locale of the runtime, pass {{ expected }} instead',
+      unexpectedLocale:
+        'Locale {{ locale }} may not be the one of the user, pass {{ expected }} instead',
+      currencySymbol:
+        'Do not concatenate the currency symbol {{ symbol }} with an amount, format it with Intl.NumberFormat and style currency instead',
+      datePattern:
+        'Date pattern {{ pattern }} is bound to one locale, use a localized format instead'
+    },
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          currentLocale: {
+            type: 'array',
+            items: { type: 'string' }
+          },
+          formatFunctions: {
+            type: 'array',
+            items: { type: 'string' }
+          },
+          ignorePatterns: {
+            type: 'array',
+            items: { type: 'string' }
+          }
+        },
+        additionalProperties: false
+      }
+    ]
+  },
+
+  create: function(context) {
+    const option = context.options[0] || {};
+    const sourceCode = context.getSourceCode();
+    // expressions giving the locale of the user, like i18n.language
+    const currentLocale = (option.currentLocale || []).map(item =>
+      item.replace(/\s/g, '')
+    );
+    const expected = currentLocale.length
+      ? currentLocale.join(' or ')
+      : 'the current locale';
+    const formatFunctions = FORMAT_FUNCTIONS.concat(
+      option.formatFunctions || []
+    );
+    const ignorePatterns = (option.ignorePatterns || []).map(
+      item => new RegExp(item)
+    );
+
+    //----------------------------------------------------------------------
+    // Helpers
+    //----------------------------------------------------------------------
+
+    /**
+     * @returns {{ callee: string, index: number } | null} the locale aware
+     *  API called, with the index of its locale argument
+     */
+    function getLocaleAPI(node) {
+      const { callee } = node;
+      if (callee.type !== 'MemberExpression' || callee.computed) return null;
+      const name = callee.property.name;
+      // new Intl.NumberFormat('en-US') or Intl.DateTimeFormat('en-US')
+      if (
+        callee.object.type === 'Identifier' &&
+        callee.object.name === 'Intl' &&
+        INTL_CONSTRUCTORS.includes(name)
+      ) {
+        return { callee: `Intl.${name}`, index: 0 };
+      }
+      // date.toLocaleDateString('en-US')
+      if (
+        node.type === 'CallExpression' &&
+        Object.keys(LOCALE_METHODS).includes(name)
+      ) {
+        return { callee: `${name}()`, index: LOCALE_METHODS[name] };
+      }
+      return null;
+    }
+
+    function checkLocale(node) {
+      const api = getLocaleAPI(node);
+      if (!api) return;
+      const locale = node.arguments[api.index];
+
+      if (isDefaultLocale(locale)) {
+        // only wrong when the locale of the user is known
+        if (!currentLocale.length) return;
+        context.report({
+          node,
+          messageId: 'defaultLocale',
+          data: { callee: api.callee, expected }
+        });
+        return;
+      }
+      if (locale.type === 'SpreadElement') return;
+
+      // 'en-US' or ['en-US', 'en']
+      const candidates =
+        locale.type === 'ArrayExpression' ? locale.elements : [locale];
+      candidates.forEach(item => {
+        if (!item || item.type === 'SpreadElement') return;
+        const text = sourceCode.getText(item);
+        if (getStaticString(item) !== null) {
+          context.report({
+            node: item,
+            messageId: 'hardcodedLocale',
+            data: { locale: text, expected }
+          });
+          return;
+        }
+        // other expressions are trusted unless the current locale is known
+        if (
+          !currentLocale.length ||
+          currentLocale.includes(text.replace(/\s/g, ''))
+        ) {
+          return;
+        }
+        context.report({
+          node: item,
+          messageId: 'unexpectedLocale',
+          data: { locale: text, expected }
+        });
+      });
+    }
+
+    function checkDatePatterns(node) {
+      const name = getName(node.callee);
+      if (!name || !formatFunctions.includes(name)) return;
+      node.arguments.forEach(argument => {
+        const pattern = getStaticString(argument);
+        if (
+          pattern === null ||
+          !isLocaleDatePattern(pattern) ||
+          ignorePatterns.some(item => item.test(pattern))
+        ) {
+          return;
+        }
+        context.report({
+          node: argument,
+          messageId: 'datePattern',
+          data: { pattern: sourceCode.getText(argument) }
+        });
+      });
+    }
+
+    /**
+     * Report texts ending with a currency symbol followed by a value, or
+     * starting with one following a value
+     * @param {object} node
+     * @param {Array<{ text: string } | { expression: object }>} fragments
+     */
+    function checkCurrency(node, fragments) {
+      for (let i = 0; i < fragments.length; i++) {
+        const { text } = fragments[i];
+        if (typeof text !== 'string') continue;
+        const next = fragments[i + 1];
+        const previous = fragments[i - 1];
+        const before = next && next.expression && CURRENCY_BEFORE.exec(text);
+        const after =
+          previous && previous.expression && CURRENCY_AFTER.exec(text);
+        const match = before || after;
+        if (match) {
+          context.report({
+            node,
+            messageId: 'currencySymbol',
+            data: { symbol: match[1] }
+          });
+          return;
+        }
+      }
+    }
+
+    function checkConcatenation(node) {
+      if (isConcatenation(node.parent) || isRegExp(node.parent)) return;
+      checkCurrency(node, getFragments(node));
+    }
+
+    // <span>${price}</span>
+    function checkChildren(node) {
+      const fragments = node.children.map(child => {
+        // babel-eslint parses JSX text as Literal
+        if (['JSXText', 'Literal', 'VText'].includes(child.type)) {
+          return { text: child.value };
+        }
+        const { expression } = child;
+        if (expression && expression.type !== 'JSXEmptyExpression') {
+          return { expression };
+        }
+        // elements and comments are neither
+        return {};
+      });
+      checkCurrency(node, fragments);
+    }
+
+    //----------------------------------------------------------------------
+    // Public
+    //----------------------------------------------------------------------
+
+    const scriptVisitor = {
+      ':matches(CallExpression, NewExpression)'(node) {
+        checkLocale(node);
+        if (node.type === 'CallExpression') checkDatePatterns(node);
+      },
+      'BinaryExpression[operator="+"]': checkConcatenation,
+      TemplateLiteral(node) {
+        if (node.parent.type !== 'TaggedTemplateExpression') {
+          checkConcatenation(node);
+        }
+      },
+      ':matches(JSXElement, JSXFragment)': checkChildren
+    };
+
+    const parserServices = getParserServices(context);
+    if (!parserServices.defineTemplateBodyVisitor) {
+      return scriptVisitor;
+    }
+    return parserServices.defineTemplateBodyVisitor(
+      {
+        'VExpressionContainer :matches(CallExpression, NewExpression)':
+          scriptVisitor[':matches(CallExpression, NewExpression)'],
+        'VExpressionContainer BinaryExpression[operator="+"]': checkConcatenation,
+        'VExpressionContainer TemplateLiteral': scriptVisitor.TemplateLiteral,
+        // <span>${{ price }}</span>
+        VElement: checkChildren
+      },
+      scriptVisitor
+    );
+  }
+};
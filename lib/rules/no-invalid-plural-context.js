@@ -0,0 +1,321 @@
+/**
+ * @fileoverview disallow plural and context translations not matching their catalog keys
+ * @author edvardchen
+ */
+'use strict';
+
+const {
+  createTranslators,
+  getStaticKeys,
+  getOptionsArgument,
+  TRANSLATORS_SCHEMA
+} = require('../translator');
+const {
+  loadResources,
+  splitNamespace,
+  findValue,
+  getSuffixes,
+  SEPARATOR_SCHEMA
+} = require('../catalog');
+const { parseInterpolation } = require('../interpolation');
+const { getPropertyName } = require('../binding');
+
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+const PLURAL_SUFFIX = /(^|_)(zero|one|two|few|many|other|plural)$/;
+
+// Intl.PluralRules is slow to construct
+const categoriesCache = new Map();
+
+/**
+ * Plural categories a locale needs, e.g. ['one', 'other'] for en
+ * @param {string} locale
+ * @param {boolean} ordinal
+ * @returns {string[]}
+ * @throws RangeError if the locale is invalid or unknown to the runtime
+ */
+function getPluralCategories(locale, ordinal) {
+  const type = ordinal ? 'ordinal' : 'cardinal';
+  const cacheKey = `${locale}/${type}`;
+  if (!categoriesCache.has(cacheKey)) {
+    const rules = new Intl.PluralRules(locale, { type });
+    // runtimes without the data of a locale, like Node built with small-icu,
+    // silently fall back to the rules of another one
+    if (!Intl.PluralRules.supportedLocalesOf(locale).length) {
+      throw new RangeError(
+        `No plural rules in this runtime, it would fall back to ${
+          rules.resolvedOptions().locale
+        }`
+      );
+    }
+    const { pluralCategories } = rules.resolvedOptions();
+    // the order differs between ICU versions
+    categoriesCache.set(
+      cacheKey,
+      PLURAL_CATEGORIES.filter(category => pluralCategories.includes(category))
+    );
+  }
+  return categoriesCache.get(cacheKey);
+}
+
+/**
+ * Static string values of an expression, following conditionals like
+ * isMale ? 'male' : 'female'
+ * @returns {string[] | null} null if dynamic
+ */
+function getStaticStrings(node) {
+  if (node.type === 'ConditionalExpression') {
+    const consequent = getStaticStrings(node.consequent);
+    const alternate = getStaticStrings(node.alternate);
+    return consequent && alternate ? consequent.concat(alternate) : null;
+  }
+  // an array is no valid context
+  return node.type === 'ArrayExpression' ? null : getStaticKeys(node);
+}
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description:
+        'disallow plural and context translations not matching their catalog keys',
+      category: 'Possible Errors',
+      recommended: false
+    },
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          locales: {
+            type: 'object',
+            additionalProperties: {
+              type: 'array',
+              items: {
+                type: 'string'
+              }
+            }
+          },
+          keySeparator: SEPARATOR_SCHEMA,
+          nsSeparator: SEPARATOR_SCHEMA,
+          translators: TRANSLATORS_SCHEMA
+        },
+        required: ['locales'],
+        additionalProperties: false
+      }
+    ]
+  },
+
+  create: function(context) {
+    const option = context.options[0] || {};
+    const { locales = {}, keySeparator = '.', nsSeparator = ':' } = option;
+    const translators = createTranslators(option);
+
+    const errors = [];
+    const invalidLocales = [];
+    const catalogs = Object.keys(locales).map(locale => {
+      const loaded = loadResources(locales[locale]);
+      loaded.errors.forEach(error => errors.push(error));
+      try {
+        getPluralCategories(locale, false);
+      } catch (e) {
+        invalidLocales.push({ locale, message: e.message });
+      }
+      return { locale, resources: loaded.resources };
+    });
+
+    //----------------------------------------------------------------------
+    // Helpers
+    //----------------------------------------------------------------------
+
+    /**
+     * How a key is translated in a locale
+     * @returns {{ locale: string, exists: boolean, values: string[], suffixes: string[] }}
+     */
+    function lookup(catalog, key) {
+      const values = [];
+      let suffixes = [];
+      catalog.resources.forEach(resource => {
+        const value = findValue(resource, key, { keySeparator });
+        if (value !== undefined) values.push(value);
+        suffixes = suffixes.concat(
+          getSuffixes(resource, key, { keySeparator })
+        );
+      });
+      return {
+        locale: catalog.locale,
+        exists: values.length > 0 || suffixes.length > 0,
+        values,
+        suffixes
+      };
+    }
+
+    // the options of t() as properties by name, null if not a plain object
+    function getProperties(node) {
+      if (!node) return new Map();
+      if (node.type !== 'ObjectExpression') return null;
+      const properties = new Map();
+      for (const property of node.properties) {
+        const name = getPropertyName(property);
+        if (!name) return null;
+        properties.set(name, property);
+      }
+      return properties;
+    }
+
+    function checkPluralForms(node, key, translations, prefix, ordinal) {
+      translations.forEach(translation => {
+        const { locale, suffixes } = translation;
+        // i18next v3 plurals like key_plural
+        if (suffixes.includes(`${prefix}plural`)) return;
+
+        let categories;
+        try {
+          categories = getPluralCategories(locale, ordinal);
+        } catch (e) {
+          // reported on Program
+          return;
+        }
+        const missing = categories
+          .map(category => `${prefix}${ordinal ? 'ordinal_' : ''}${category}`)
+          .filter(suffix => !suffixes.includes(suffix));
+        if (!missing.length) return;
+
+        context.report({
+          node,
+          message:
+            "Translation '{{ key }}' lacks the plural forms {{ forms }} in locale {{ locale }}",
+          data: {
+            key,
+            locale,
+            forms: missing.map(suffix => `${key}_${suffix}`).join(', ')
+          }
+        });
+      });
+    }
+
+    function checkContexts(node, key, translations, contexts) {
+      contexts.forEach(value => {
+        translations.forEach(({ locale, suffixes }) => {
+          const found = suffixes.some(
+            suffix => suffix === value || suffix.startsWith(`${value}_`)
+          );
+          if (found) return;
+          context.report({
+            node,
+            message:
+              "Translation '{{ key }}' has no context '{{ value }}' in locale {{ locale }}",
+            data: { key, value, locale }
+          });
+        });
+      });
+    }
+
+    function check(node) {
+      const keys = getStaticKeys(node.arguments[0]);
+      // dynamic keys and fallback arrays
+      if (!keys || keys.length !== 1) return;
+      const { key } = splitNamespace(keys[0], nsSeparator);
+
+      // missing keys are reported by no-missing-translation-key
+      const translations = catalogs
+        .map(catalog => lookup(catalog, key))
+        .filter(translation => translation.exists);
+      if (!translations.length) return;
+
+      const properties = getProperties(getOptionsArgument(node));
+      // options may contain anything
+      if (!properties) return;
+
+      const count = properties.get('count');
+      const contextProperty = properties.get('context');
+      const ordinal = properties.get('ordinal');
+      const contexts =
+        contextProperty && getStaticStrings(contextProperty.value);
+
+      const isPlural = translations.some(({ suffixes }) =>
+        suffixes.some(suffix => PLURAL_SUFFIX.test(suffix))
+      );
+
+      if (contexts) {
+        checkContexts(contextProperty.value, key, translations, contexts);
+      }
+
+      if (isPlural && !count) {
+        context.report({
+          node: node.arguments[0],
+          message: "Plural translation '{{ key }}' is used without count",
+          data: { key }
+        });
+        return;
+      }
+
+      if (!isPlural && count) {
+        // count may just be interpolated
+        const interpolated = translations.some(({ values }) =>
+          values.some(
+            value =>
+              typeof value === 'string' &&
+              parseInterpolation(value).variables.includes('count')
+          )
+        );
+        if (interpolated) return;
+        context.report({
+          node: count,
+          message: "Count is passed to translation '{{ key }}' without plurals",
+          data: { key }
+        });
+        return;
+      }
+
+      if (!isPlural) return;
+      // plurals of the context, falling back to the plain ones like i18next
+      const prefix = contexts && contexts.length === 1 ? `${contexts[0]}_` : '';
+      const hasContextPlurals = translations.some(({ suffixes }) =>
+        suffixes.some(
+          suffix => suffix.startsWith(prefix) && PLURAL_SUFFIX.test(suffix)
+        )
+      );
+      checkPluralForms(
+        node.arguments[0],
+        key,
+        translations,
+        hasContextPlurals ? prefix : '',
+        Boolean(
+          ordinal &&
+            ordinal.value.type === 'Literal' &&
+            ordinal.value.value === true
+        )
+      );
+    }
+
+    //----------------------------------------------------------------------
+    // Public
+    //----------------------------------------------------------------------
+
+    return {
+      Program(node) {
+        errors.forEach(error => {
+          context.report({
+            node,
+            message:
+              'Failed to load translation resource {{ file }}: {{ message }}',
+            data: error
+          });
+        });
+        invalidLocales.forEach(error => {
+          context.report({
+            node,
+            message: 'Invalid locale {{ locale }}: {{ message }}',
+            data: error
+          });
+        });
+      },
+
+      CallExpression(node) {
+        if (translators.isTranslatorCall(context, node)) check(node);
+      }
+    };
+  }
+};
@@ -0,0 +1,247 @@
+/**
+ * @fileoverview disallow <Trans> elements react-i18next can not translate as intended
+ * @author edvardchen
+ */
+'use strict';
+
+const {
+  createTranslators,
+  getStaticKeys,
+  TRANSLATORS_SCHEMA
+} = require('../translator');
+const { RENDER_PROP_COMPONENTS } = require('../binding');
+const {
+  loadResources,
+  splitNamespace,
+  findValue,
+  SEPARATOR_SCHEMA
+} = require('../catalog');
+const { parseInterpolation } = require('../interpolation');
+const { BASIC_HTML, serializeChildren, parseComponents } = require('../trans');
+const { getAttribute } = require('../helper');
+
+/**
+ * Names listed by a components or values prop
+ * @param {object} [attribute] JSXAttribute
+ * @returns {string[] | null} null if they are only known at runtime
+ */
+function getPropNames(attribute) {
+  const value = attribute.value && attribute.value.expression;
+  if (!value) return null;
+  // components={[<b />, <Link />]}
+  if (value.type === 'ArrayExpression') {
+    return value.elements.map((_, i) => String(i));
+  }
+  if (value.type !== 'ObjectExpression') return null;
+  const names = [];
+  for (const property of value.properties) {
+    if (property.type !== 'Property' || property.computed) return null;
+    names.push(property.key.name || String(property.key.value));
+  }
+  return names;
+}
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description:
+        'disallow <Trans> elements react-i18next can not translate as intended',
+      category: 'Possible Errors',
+      recommended: false
+    },
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          keyPolicy: {
+            enum: ['required', 'children']
+          },
+          resources: {
+            type: 'array',
+            items: {
+              type: 'string'
+            }
+          },
+          keySeparator: SEPARATOR_SCHEMA,
+          nsSeparator: SEPARATOR_SCHEMA,
+          translators: TRANSLATORS_SCHEMA
+        },
+        additionalProperties: false
+      }
+    ]
+  },
+
+  create: function(context) {
+    const option = context.options[0] || {};
+    const {
+      keyPolicy = 'required',
+      resources: files = [],
+      keySeparator = '.',
+      nsSeparator = ':'
+    } = option;
+    const translators = createTranslators(option);
+    // load errors are reported by no-missing-translation-key
+    const { resources } = loadResources(files);
+    const sourceCode = context.getSourceCode();
+
+    //----------------------------------------------------------------------
+    // Helpers
+    //----------------------------------------------------------------------
+
+    function isTrans(openingElement) {
+      // <Translation>{t => t('key')}</Translation> renders with a function
+      const name = sourceCode
+        .getText(openingElement.name)
+        .split('.')
+        .pop();
+      return (
+        !RENDER_PROP_COMPONENTS.includes(name) &&
+        translators.isTranslatorComponent(context, openingElement)
+      );
+    }
+
+    function findTranslation(fullKey) {
+      const { key } = splitNamespace(fullKey, nsSeparator);
+      for (const resource of resources) {
+        const value = findValue(resource, key, { keySeparator });
+        if (typeof value === 'string') return value;
+      }
+      return undefined;
+    }
+
+    /**
+     * Compare the components and values a translation uses with the ones
+     * passed to <Trans>
+     */
+    function checkMarkers(openingElement, key, value, children) {
+      const componentsProp = getAttribute(openingElement, 'components');
+      const valuesProp = getAttribute(openingElement, 'values');
+      const used = parseComponents(value);
+      const variables = parseInterpolation(value).variables;
+
+      const passedComponents = componentsProp
+        ? getPropNames(componentsProp)
+        : children.components;
+      if (passedComponents) {
+        used
+          .filter(name => !passedComponents.includes(name))
+          // rendered as they are if nothing is passed for them
+          .filter(name => !BASIC_HTML.includes(name))
+          .forEach(name => {
+            context.report({
+              node: componentsProp || openingElement,
+              message:
+                "Component <{{ name }}> of translation '{{ key }}' is not passed to <Trans>",
+              data: { name, key }
+            });
+          });
+      }
+      if (componentsProp && passedComponents) {
+        passedComponents
+          .filter(name => !used.includes(name))
+          .forEach(name => {
+            context.report({
+              node: componentsProp,
+              message:
+                "Component {{ name }} passed to <Trans> is not used by translation '{{ key }}'",
+              data: { name, key }
+            });
+          });
+      }
+
+      const passedValues = valuesProp ? getPropNames(valuesProp) : [];
+      if (!passedValues) return;
+      const provided = passedValues.concat(children.values);
+      if (getAttribute(openingElement, 'count')) provided.push('count');
+      variables
+        .filter(name => !provided.includes(name))
+        .forEach(name => {
+          context.report({
+            node: valuesProp || openingElement,
+            message:
+              "Value '{{ name }}' of translation '{{ key }}' is not passed to <Trans>",
+            data: { name, key }
+          });
+        });
+      passedValues
+        .filter(name => !variables.includes(name))
+        .forEach(name => {
+          context.report({
+            node: valuesProp,
+            message:
+              "Value '{{ name }}' passed to <Trans> is not used by translation '{{ key }}'",
+            data: { name, key }
+          });
+        });
+    }
+
+    function check(node) {
+      const { openingElement } = node;
+      if (!isTrans(openingElement)) return;
+      // <Trans {...props} /> may pass anything
+      if (
+        openingElement.attributes.some(item => item.type !== 'JSXAttribute')
+      ) {
+        return;
+      }
+
+      const children = serializeChildren(node);
+      children.invalid.forEach(child => {
+        context.report({
+          node: child,
+          message:
+            'Child {{ code }} of <Trans> can not be serialized, pass strings, elements or values like {{ example }}',
+          data: {
+            code: sourceCode.getText(child),
+            example: '{{ name }}'
+          }
+        });
+      });
+
+      const keyAttribute = getAttribute(openingElement, 'i18nKey');
+      if (!keyAttribute) {
+        // the serialized children are the key
+        if (keyPolicy === 'children' && children.text) return;
+        context.report({
+          node: openingElement,
+          message: '<Trans> has no i18nKey'
+        });
+        return;
+      }
+
+      const keys = keyAttribute.value && getStaticKeys(keyAttribute.value);
+      if (!keys || keys.length !== 1 || !resources.length) return;
+      const [key] = keys;
+      const value = findTranslation(key);
+      // missing keys are reported by no-missing-translation-key
+      if (value === undefined) return;
+
+      checkMarkers(openingElement, key, value, children);
+
+      if (
+        children.text &&
+        !children.invalid.length &&
+        children.text !== value
+      ) {
+        context.report({
+          node: openingElement,
+          message:
+            "Children '{{ actual }}' of <Trans> differ from translation '{{ key }}': '{{ expected }}'",
+          data: { actual: children.text, key, expected: value }
+        });
+      }
+    }
+
+    //----------------------------------------------------------------------
+    // Public
+    //----------------------------------------------------------------------
+
+    return {
+      JSXElement: check
+    };
+  }
+};
@@ -4,9 +4,30 @@
  */
 'use strict';
 
-const { isUpperCase, isAllowedDOMAttr } = require('../helper');
+const { isUpperCase } = require('../helper');
+const { createTranslationFixer, LIBRARIES } = require('../autofix');
+const { KEY_STRATEGIES } = require('../keygen');
+const { createTranslators, TRANSLATORS_SCHEMA } = require('../translator');
+const { isTranslationDirective } = require('../vue');
+const { createBaselineMatcher } = require('../baseline');
+const { createClassifier, DETECTORS_SCHEMA } = require('../classifier');
+const {
+  createContextFilter,
+  getContext,
+  locateContext,
+  MODES,
+  CONTEXTS_SCHEMA
+} = require('../contexts');
+const { createAttributePolicy, ATTRIBUTES_SCHEMA } = require('../attributes');
+const { recordFile } = require('../coverage');
+const { createScopes } = require('../scopes');
+const { getParserServices } = require('../context');
+const {
+  createBrandChecker,
+  getValueNodes,
+  BRANDED_TYPES_SCHEMA
+} = require('../branded-types');
 const pathLib = require('path');
-// const { TypeFlags, SyntaxKind } = require('typescript');
 
 //------------------------------------------------------------------------------
 // Rule Definition
@@ -19,6 +40,22 @@ module.exports = {
       category: 'Best Practices',
       recommended: true
     },
+    fixable: 'code',
+    hasSuggestions: true,
+    messages: {
+      jsxText: 'Forbidden literal string {{ string }} in <{{ tag }}>{{ explanation }}',
+      jsxAttribute: "Forbidden literal string {{ string }} as value for attribute '{{ attribute }}' of <{{ tag }}>{{ explanation }}",
+      property: "Forbidden literal string {{ string }} as value for property '{{ property }}'{{ explanation }}",
+      argument: 'Forbidden literal string {{ string }} as argument of {{ callee }}(){{ explanation }}',
+      variable: "Forbidden literal string {{ string }} assigned to '{{ variable }}'{{ explanation }}",
+      return: 'Forbidden literal string {{ string }} returned{{ explanation }}',
+      other: 'Forbidden literal string {{ string }}{{ explanation }}',
+      templatePlaceholder: 'Forbidden template literal placeholder ${} in translation string {{ string }}, use {{}} instead{{ explanation }}',
+      brandedType: 'Untranslated {{ string }} passed as {{ type }}{{ explanation }}',
+      allowed: 'Allowed {{ string }}: {{ reason }}',
+      baselineError: 'Failed to load baseline {{ file }}: {{ message }}',
+      staleBaseline: 'Stale baseline entry {{ text }}: recorded {{ expected }} times, found {{ found }}'
+    },
     schema: [{
       type: 'object',
       properties: {
@@ -36,6 +73,14 @@ module.exports = {
             type: 'string'
           }
         },
+        translators: TRANSLATORS_SCHEMA,
+        // deprecated, use translators.functions instead
+        ignoreTranslatorCallee: {
+          type: 'array',
+          items: {
+            type: 'string'
+          }
+        },
         ignoreProperties: {
           type: 'array',
           optional: true,
@@ -43,6 +88,7 @@ module.exports = {
             type: 'string'
           }
         },
+        // superseded by attributes.ignore
         ignoreTags: {
           type: 'array',
           optional: true,
@@ -66,14 +112,17 @@ module.exports = {
                 }
               }
             }
-          },
-          ignoreAttribute: {
-            type: 'array',
-            items: {
-              type: 'string'
-            }
           }
         },
+        // superseded by attributes.ignore
+        ignoreAttribute: {
+          type: 'array',
+          items: {
+            type: 'string'
+          }
+        },
+        attributes: ATTRIBUTES_SCHEMA,
+        // superseded by baseline
         notTranslatedYet: {
           optional: true,
           type: "object",
@@ -86,6 +135,36 @@ module.exports = {
             },
           },
         },
+        baseline: {
+          type: 'string'
+        },
+        detectors: DETECTORS_SCHEMA,
+        mode: {
+          enum: MODES
+        },
+        contexts: CONTEXTS_SCHEMA,
+        brandedTypes: BRANDED_TYPES_SCHEMA,
+        explain: {
+          type: 'boolean'
+        },
+        fix: {
+          type: 'object',
+          properties: {
+            mode: {
+              enum: ['suggest', 'autofix']
+            },
+            keyStrategy: {
+              enum: KEY_STRATEGIES
+            },
+            keyRoot: {
+              type: 'string'
+            },
+            library: {
+              enum: LIBRARIES
+            }
+          },
+          additionalProperties: false
+        },
       },
       additionalProperties: false
     }]
@@ -94,20 +173,36 @@ module.exports = {
   create: function (context) {
     // variables should be defined here
     const {
-      parserServices,
       options: [option]
     } = context;
+    const parserServices = getParserServices(context);
     const whitelists = [
       /^[^A-Za-z]+$/, // ignore not-word string
       ...((option && option.ignore) || [])
     ].map(item => new RegExp(item));
     const propWhitelist = (option && option.ignoreProperties) || [];
-    const tagAttrWhiteList = ((option && option.ignoreTags) || []).map(entry =>
-      ({ tags: typeof entry.tag === 'string' ? [entry.tag] : entry.tag,
-        attributes: entry.attributes }));
+    const explain = Boolean(option && option.explain);
+    const attributePolicy = createAttributePolicy(option);
+
+    const attachFix = createTranslationFixer(
+      context,
+      option && option.fix,
+      option && option.translators && option.translators.modules
+    );
+    const classifier = createClassifier(option && option.detectors);
+    const contextFilter = createContextFilter(
+      option && option.mode,
+      option && option.contexts
+    );
+    const baseline =
+      option &&
+      option.baseline &&
+      createBaselineMatcher(option.baseline, context.getFilename());
+
+    const brandChecker = createBrandChecker(context, option && option.brandedTypes);
 
     const calleeWhitelists = generateCalleeWhitelists(option);
-    const translatorCalleeWhitelists = generateTranslatorWhitelists(option);
+    const translators = createTranslators(option);
 
     const ensureSlash = (path) => pathLib.normalize(pathLib.join(pathLib.sep, path));
 
@@ -121,127 +216,305 @@ module.exports = {
     //----------------------------------------------------------------------
     // Helpers
     //----------------------------------------------------------------------
+    /**
+     * @returns {RegExp | undefined} the first whitelist entry matching
+     */
     function match(str) {
-      return whitelists.some(item => item.test(str));
+      return whitelists.find(item => item.test(str));
     }
 
-    function isTranlationFunctionCall({
+    /**
+     * @returns {string | null} the whitelisted callee, like require or dispatch
+     */
+    function getTechnicalCallee({
       callee
     }) {
+      // if(callee.type === 'TaggedTemplateExpression') return true;
+
       let calleeName = callee.name;
+      if (callee.type === 'Import') return 'import';
 
       if (callee.type === 'MemberExpression') {
-        if (translatorCalleeWhitelists.simple.indexOf(callee.property.name) !== -1)
-          return true;
+        if (calleeWhitelists.simple.indexOf(callee.property.name) !== -1)
+          return callee.property.name;
 
         calleeName = `${callee.object.name}.${callee.property.name}`;
-        if (translatorCalleeWhitelists.complex.indexOf(calleeName) !== -1) return true;
+        if (calleeWhitelists.complex.indexOf(calleeName) !== -1) return calleeName;
 
         // Allow: socket.on to match this.socket.on or socket.on
         // Don't Allow: socket.on to match xsocket.on or this.xsocket.on
         calleeName = "." + context.getSourceCode().getText(callee);
-        return translatorCalleeWhitelists.complex.some((c) => calleeName.endsWith("." + c))
+        return calleeWhitelists.complex.find((c) => calleeName.endsWith("." + c)) || null;
       }
-      return translatorCalleeWhitelists.simple.indexOf(calleeName) !== -1;
-    }
 
-    function isTechnicalFunctionCall({
-      callee
-    }) {
-      // if(callee.type === 'TaggedTemplateExpression') return true;
+      if (calleeName === 'require') return calleeName;
 
-      let calleeName = callee.name;
-      if (callee.type === 'Import') return true;
+      return calleeWhitelists.simple.indexOf(calleeName) !== -1 ? calleeName : null;
+    }
 
-      if (callee.type === 'MemberExpression') {
-        if (calleeWhitelists.simple.indexOf(callee.property.name) !== -1)
-          return true;
+    function getString(node) {
+      return node.type === 'VText' ? node.value.trim() : context.getSourceCode().getText(node);
+    }
 
-        calleeName = `${callee.object.name}.${callee.property.name}`;
-        if (calleeWhitelists.complex.indexOf(calleeName) !== -1) return true;
+    /**
+     * Tell why a string is allowed, in explain mode only
+     * @param {object} node
+     * @param {string} [reason] like "ignore pattern '^foo'"
+     */
+    function explainAllowed(node, reason) {
+      if (!explain || !reason) return;
+      context.report({
+        node,
+        messageId: 'allowed',
+        data: { string: getString(node), reason },
+      });
+    }
 
-        // Allow: socket.on to match this.socket.on or socket.on
-        // Don't Allow: socket.on to match xsocket.on or this.xsocket.on
-        calleeName = "." + context.getSourceCode().getText(callee);
-        return calleeWhitelists.complex.some((c) => calleeName.endsWith("." + c))
+    /**
+     * @param {object} descriptor with messageId and data
+     * @param {string} path the check reporting, told in explain mode
+     */
+    function report(descriptor, path) {
+      const { node } = descriptor;
+      // contexts which are not rolled out yet
+      if (!contextFilter.isEnabled(node)) {
+        explainAllowed(node, `context '${getContext(node)}' is disabled`);
+        return;
       }
+      reportUnlessRecorded(descriptor, path);
+    }
 
-      if (calleeName === 'require') return true;
-
-      return calleeWhitelists.simple.indexOf(calleeName) !== -1;
+    // reports suppressed by nothing but the baseline
+    function reportUnlessRecorded(descriptor, path) {
+      const { node } = descriptor;
+      const code = context.getSourceCode().getText(node);
+      if (baseline && baseline.suppress(code)) {
+        explainAllowed(node, 'recorded in the baseline');
+        return;
+      }
+      const explanation = explain ? ` (reported by the ${path} check)` : '';
+      const data = Object.assign({}, descriptor.data, { explanation });
+      context.report(attachFix(Object.assign({}, descriptor, { data })));
     }
 
-    const ignoredAttributes = (option && option.ignoreAttribute) || [];
-    const userJSXAttrs = [
-      'className',
-      'styleName',
-      'type',
-      'id',
-      'width',
-      'height',
-
-      ...ignoredAttributes
-    ];
-    function isValidAttrName(name) {
-      return userJSXAttrs.includes(name);
+    function reportBaseline(node) {
+      if (!baseline) return;
+      if (baseline.error) {
+        context.report({
+          node,
+          messageId: 'baselineError',
+          data: { file: option.baseline, message: baseline.error }
+        });
+        return;
+      }
+      // so that the baseline only ever shrinks
+      baseline.getStale().forEach(entry => {
+        context.report({
+          node,
+          messageId: 'staleBaseline',
+          data: entry
+        });
+      });
     }
 
     //----------------------------------------------------------------------
     // Public
     //----------------------------------------------------------------------
-    const visited = new WeakSet();
-    const translationNodes = new WeakSet();
-    const technicalNodes = new WeakSet();
+    // nodes passing linting, with the reason told in explain mode
+    const visited = new WeakMap();
+    // translations, technical nodes and declarations the current node is in,
+    // the latter two with the reason their strings are allowed
+    const scopes = createScopes();
     const complaints = new Map();
+    // what the coverage formatter reports against
+    const seen = { literals: 0, translations: 0 };
 
-    function getNearestAncestor(node, types) {
-      let temp = node.parent;
-      while (temp) {
-        if (types.includes(temp.type)) {
-          return temp;
-        }
-        temp = temp.parent;
-      }
-      return temp;
+    function addTranslation(node) {
+      scopes.enter(node, 'translation');
+      seen.translations++;
+    }
+
+    function finish(ast) {
+      reportBaseline(ast);
+      recordFile(context.getFilename(), seen);
+    }
+
+    /**
+     * @param {string} text
+     * @param {boolean} markup whether the text is part of JSX or vue markup
+     * @returns {string | null} why the text is allowed, if it is
+     */
+    function getIgnoreReason(text, markup) {
+      const trimmed = text.trim();
+      if (!trimmed) return 'blank string';
+      const entry = match(trimmed);
+      if (entry === whitelists[0]) return 'no letters';
+      if (entry) return `ignore pattern '${entry.source}'`;
+      // allow statements like const a = "FOO" or "https://example.com"
+      const detector = classifier.getDetector(trimmed, { markup });
+      return detector ? `detector '${detector}'` : null;
     }
 
-    function checkTechnicalParents(node) {
-      return context.getAncestors(node).some(x => technicalNodes.has(x));
+    function getTagName(element) {
+      const sourceCode = context.getSourceCode();
+      if (element.type === 'VElement') return element.rawName;
+      if (element.type === 'JSXElement') return sourceCode.getText(element.openingElement.name);
+      // <>abc</>
+      return '';
     }
-    function checkTranslationParents(node) {
-      return context.getAncestors(node).some(x => translationNodes.has(x));
+
+    /**
+     * Describe a literal by the context it is used in
+     * @param {object} node
+     * @returns {{ node: object, messageId: string, data: object }}
+     */
+    function describe(node) {
+      const sourceCode = context.getSourceCode();
+      const located = locateContext(node);
+      const parent = located.node;
+      const data = { string: getString(node) };
+
+      switch (located.name) {
+        case 'jsxText':
+          data.tag = getTagName(parent);
+          break;
+        case 'jsxAttribute':
+          if (parent.type === 'VAttribute') {
+            const { key } = parent;
+            // :title="'abc'" or title="abc"
+            data.attribute = parent.directive ? sourceCode.getText(key.argument || key) : key.rawName;
+            data.tag = getTagName(parent.parent.parent);
+          } else {
+            data.attribute = sourceCode.getText(parent.name);
+            data.tag = getTagName(parent.parent.parent);
+          }
+          break;
+        case 'property':
+          data.property = sourceCode.getText(parent.type === 'AssignmentExpression' ? parent.left : parent.key);
+          break;
+        case 'argument':
+          data.callee = sourceCode.getText(parent.callee);
+          break;
+        case 'variable':
+          data.variable = sourceCode.getText(parent.type === 'AssignmentExpression' ? parent.left : parent.id);
+          break;
+      }
+      return { node, messageId: located.name, data };
+    }
+
+    function isMarkup(node) {
+      return (
+        node.type === 'JSXText' ||
+        ['JSXElement', 'JSXFragment'].includes(node.parent.type) ||
+        scopes.has('jsxAttribute')
+      );
     }
 
     function isString(node) {
       return typeof node.value === 'string' || node.type === 'TemplateLiteral';
     }
 
+    const hasTemplate = Boolean(
+      parserServices.defineTemplateBodyVisitor &&
+        context.getSourceCode().ast.templateBody
+    );
+
     const {
       esTreeNodeToTSNodeMap,
       program
     } = parserServices;
     let typeChecker;
-    if (program && esTreeNodeToTSNodeMap)
+    let ts;
+    if (program && esTreeNodeToTSNodeMap) {
       typeChecker = program.getTypeChecker();
+      // only available along with @typescript-eslint/parser
+      ts = require('typescript');
+    }
+
+    function isStringLiteralType(type) {
+      const types = type.isUnion() ? type.types : [type];
+      const nullable = ts.TypeFlags.Undefined | ts.TypeFlags.Null;
+      return (
+        types.some(item => item.isStringLiteral()) &&
+        types.every(item => item.isStringLiteral() || item.flags & nullable)
+      );
+    }
+
+    function isTypedLiteral(node) {
+      if (!typeChecker) return false;
+      const tsNode = esTreeNodeToTSNodeMap.get(node);
+      if (!tsNode) return false;
+
+      // var a: 'abc' | 'name' = 'abc';
+      // <Button variant="primary" /> with variant: 'primary' | 'secondary'
+      const contextualType = typeChecker.getContextualType(tsNode);
+      if (contextualType && isStringLiteralType(contextualType)) return true;
+
+      // labels['active'] with labels: Record<Status, string>
+      const { parent } = tsNode;
+      if (
+        parent.kind === ts.SyntaxKind.ElementAccessExpression &&
+        parent.argumentExpression === tsNode &&
+        typeof node.value === 'string'
+      ) {
+        const objectType = typeChecker.getTypeAtLocation(parent.expression);
+        return (
+          !objectType.getStringIndexType() &&
+          Boolean(objectType.getProperty(node.value))
+        );
+      }
+      return false;
+    }
+
+    function isTranslation(node) {
+      return (
+        (node.type === 'CallExpression' && translators.isTranslatorCall(context, node)) ||
+        (node.type === 'TaggedTemplateExpression' && translators.isTranslatorTag(context, node))
+      );
+    }
+
+    /**
+     * Report the untranslated values passed to a parameter, prop or property
+     * declared with a branded type, whatever the other checks would allow
+     * @param {object} node expression
+     */
+    function checkBrandedValue(node) {
+      const brand = brandChecker.getBrand(node);
+      if (!brand) return;
+      getValueNodes(node).forEach(item => {
+        if (isTranslation(item) || brandChecker.isBranded(item)) return;
+        // reported here instead of as literal
+        visited.set(item, null);
+        // the type requires a translation whatever mode and contexts say
+        reportUnlessRecorded({
+          node: item,
+          messageId: 'brandedType',
+          data: {
+            string: context.getSourceCode().getText(item),
+            type: brand,
+          },
+        }, 'branded type');
+      });
+    }
 
     const scriptVisitor = {
       //
       // ─── EXPORT AND IMPORT ───────────────────────────────────────────
       //
 
-      'ImportDeclaration :matches(Literal, TemplateLiteral)'(node) {
+      ImportDeclaration(node) {
         // allow (import abc form 'abc')
-        visited.add(node);
+        scopes.enter(node, 'declaration', 'import source');
       },
 
-      'ExportAllDeclaration :matches(Literal, TemplateLiteral)'(node) {
+      ExportAllDeclaration(node) {
         // allow export * from 'mod'
-        visited.add(node);
+        scopes.enter(node, 'declaration', 'export source');
       },
 
       'ExportNamedDeclaration > :matches(Literal, TemplateLiteral)'(node) {
         // allow export { named } from 'mod'
-        visited.add(node);
+        visited.set(node, 'export source');
       },
       // ─────────────────────────────────────────────────────────────────
 
@@ -249,42 +522,19 @@ module.exports = {
       // ─── JSX ─────────────────────────────────────────────────────────
       //
 
-      'JSXElement > JSXOpeningElement'(node) {
-        const name = context.getSourceCode().getText(node.name);
-        // TODO: read from an optional list.
-        if (name === "Trans" || name === "Translation") {
-          translationNodes.add(node.parent);
-        }
-      },
-      'JSXElement > :matches(Literal, TemplateLiteral)'(node) {
-        scriptVisitor.JSXText(node);
-      },
-
-      'JSXAttribute'(node) {
-        // allow <div className="active" />
-        const element = getNearestAncestor(node, ['JSXOpeningElement']);
-        if (element !== null) {
-          if (tagAttrWhiteList.some(entry =>
-            (entry.tags.includes('*') || entry.tags.includes(element.name.name)) && entry.attributes.includes(node.name.name)
-            )) {
-              technicalNodes.add(node);
-            }
+      JSXElement(node) {
+        if (translators.isTranslatorComponent(context, node.openingElement)) {
+          addTranslation(node);
         }
       },
-      'JSXAttribute Literal'(node) {
-        const parent = getNearestAncestor(node, ['JSXAttribute']);
-        const attrName = parent.name.name;
-
-        // allow <MyComponent className="active" />
-        if (isValidAttrName(attrName)) {
-          visited.add(node);
-          return;
-        }
-
-        const jsxElement = getNearestAncestor(node, ['JSXOpeningElement']);
-        const tagName = jsxElement.name.name;
-        if (isAllowedDOMAttr(tagName, attrName)) {
-          visited.add(node);
+      'JSXOpeningElement > JSXAttribute'(node) {
+        scopes.enter(node, 'jsxAttribute');
+        // allow <div className="active" /> and <MyComponent className="active" />
+        const sourceCode = context.getSourceCode();
+        const tagName = sourceCode.getText(node.parent.name);
+        const attrName = sourceCode.getText(node.name);
+        if (!attributePolicy.isTranslatable(tagName, attrName)) {
+          scopes.enter(node, 'technical', `attribute '${attrName}' of <${tagName}> is not translatable`);
         }
       },
 
@@ -295,57 +545,81 @@ module.exports = {
       //
 
 
-      'TSModuleDeclaration :matches(Literal, TemplateLiteral)'(node) {
+      ':matches(CallExpression, NewExpression) > *'(node) {
+        // f('abc') with f(label: TranslatedString)
+        if (!brandChecker.enabled) return;
+        if (node.parent.arguments.includes(node)) checkBrandedValue(node);
+      },
+
+      'JSXAttribute > *'(node) {
+        // <Button label="abc" /> with label: TranslatedString
+        if (!brandChecker.enabled || node.parent.value !== node) return;
+        checkBrandedValue(node.type === 'JSXExpressionContainer' ? node.expression : node);
+      },
+
+      'ObjectExpression > Property > *'(node) {
+        // { label: 'abc' } with label: TranslatedString
+        if (!brandChecker.enabled || node.parent.value !== node) return;
+        checkBrandedValue(node);
+      },
+
+      TSModuleDeclaration(node) {
         // allow: declare module 'i18next-pseudo';
-        visited.add(node);
+        scopes.enter(node, 'declaration', 'module name');
       },
 
-      'TSInterfaceDeclaration Literal'(node){
+      TSInterfaceDeclaration(node){
         // Allow:
         // export interface IPlotGroupEditorScss {
         //   'onai-plot-group-editor': string;
         // }
-        visited.add(node);
+        scopes.enter(node, 'declaration', 'interface member');
       },
 
-      'TSEnumDeclaration :matches(Literal, TemplateLiteral)'(node) {
+      TSEnumDeclaration(node) {
         // allow:
         // export enum DialogKind {
         //   Closed = 'Closed',
         //   New = 'New',
         //   Edit = 'Edit',
         // }
-        visited.add(node);
+        scopes.enter(node, 'declaration', 'enum member');
       },
 
-      'TSLiteralType :matches(Literal, TemplateLiteral)'(node) {
+      TSLiteralType(node) {
         // allow var a: Type['member'];
-        visited.add(node);
+        scopes.enter(node, 'declaration', 'literal type');
       },
       // ─────────────────────────────────────────────────────────────────
 
       'VariableDeclarator > :matches(Literal, TemplateLiteral)'(node) {
       // allow statements like const A_B = "test"
-        if (isUpperCase(node.parent.id.name)) visited.add(node);
+        if (isUpperCase(node.parent.id.name)) {
+          visited.set(node, `UPPER_CASE variable '${node.parent.id.name}'`);
+        }
       },
 
       'TSAsExpression > :matches(Literal, TemplateLiteral)'(node) {
         // Allow: "test" as string
         // Allow: "test" as some_type
-        visited.add(node);
+        visited.set(node, 'type assertion');
       },
       'TSAsExpression > ArrayExpression > :matches(Literal, TemplateLiteral)'(node) {
         // Allow: ["test", "bob"] as some_type[]
-        visited.add(node);
+        visited.set(node, 'type assertion');
       },
 
-      ':matches(ClassProperty, Property) :matches(Literal, TemplateLiteral)'(node) {
-        if (!isString(node)) return;
-        const parent = getNearestAncestor(node, ['ClassProperty', 'Property']);
+      ':matches(ClassProperty, Property)'(node) {
+        scopes.enter(node, 'property');
+      },
+
+      ':matches(Literal, TemplateLiteral)'(node) {
+        const parent = scopes.get('property');
+        if (!parent || !isString(node)) return;
 
         // if node is key of property, skip
         if (parent.key === node) {
-          visited.add(node);
+          visited.set(node, 'property key');
           return;
         }
 
@@ -354,18 +628,13 @@ module.exports = {
           if (!trimmed || match(trimmed)) return;
         }
 
-        if (propWhitelist.includes(parent.key.name)) visited.add(node);
+        if (propWhitelist.includes(parent.key.name)) {
+          visited.set(node, `ignoreProperties entry '${parent.key.name}'`);
+        }
         // name if key is Identifier; value if key is Literal
         // dont care whether if this is computed or not
-        else if (isUpperCase(parent.key.name || parent.key.value)) visited.add(node);
-        else {
-          complaints.set(node, {
-            node,
-            message: "Forbidden literal assigned to property: {{ code }}",
-            data: {
-              code: context.getSourceCode().getText(parent),
-            },
-          });
+        else if (isUpperCase(parent.key.name || parent.key.value)) {
+          visited.set(node, `UPPER_CASE property '${parent.key.name || parent.key.value}'`);
         }
       },
 
@@ -378,133 +647,206 @@ module.exports = {
 
         // allow: name === 'Android'
         if (operator !== '+') {
-          visited.add(node);
+          visited.set(node, `operand of ${operator}`);
         }
       },
 
       'TaggedTemplateExpression'(node) {
-        const name =
-          node.tag.type === 'CallExpression'
-          ? node.tag.callee.name
-          : node.tag.type === 'Identifier'
-          ? node.tag.name
-          : undefined;
-        if (name === undefined) return;
-
-        // TODO: stick into options.
-        const translationTags = ['t', 'T'];
-        if (translationTags.includes(name)) {
-          translationNodes.add(node);
+        if (translators.isTranslatorTag(context, node)) {
+          addTranslation(node);
         }
       },
       'CallExpression'(node) {
-        if (isTranlationFunctionCall(node)) translationNodes.add(node);
-        if (isTechnicalFunctionCall(node)) technicalNodes.add(node);
+        if (translators.isTranslatorCall(context, node)) addTranslation(node);
+        const callee = getTechnicalCallee(node);
+        if (callee) scopes.enter(node, 'technical', `argument of ignored callee '${callee}'`);
       },
 
       'SwitchCase > :matches(Literal, TemplateLiteral)'(node) {
-        visited.add(node);
+        visited.set(node, 'switch case');
       },
 
       ':matches(Literal, TemplateLiteral, JSXText):exit'(node) {
         if (!isString(node)) return;
+        // blank strings are never worth explaining
+        if (typeof node.value === 'string' && !node.value.trim()) return;
+        seen.literals++;
         // visited and passed linting
-        if (visited.has(node)) return;
+        if (visited.has(node)) {
+          explainAllowed(node, visited.get(node));
+          return;
+        }
+        const declaration = scopes.get('declaration');
+        if (declaration) {
+          explainAllowed(node, declaration);
+          return;
+        }
 
-        if (checkTranslationParents(node)) {
+        if (scopes.has('translation')) {
           const regex = /\$\{[^}]+\}/u;
           if (node.type === 'TemplateLiteral' && regex.test(context.getSourceCode().getText(node))) {
             complaints.set(node, {
               node,
-              message: "Forbidden template literal placeholder ${} in translation string, use {{}} instead: {{ code }}",
+              messageId: 'templatePlaceholder',
               data: {
-                code: context.getSourceCode().getText(node),
+                string: context.getSourceCode().getText(node),
               },
             });
           } else {
+            explainAllowed(node, 'inside a translation');
             return;
           }
         }
-        if (checkTechnicalParents(node)) return;
-        if (typeof node.value === 'string') {
-          const trimmed = node.value.trim();
-          if (!trimmed) return;
-
-          // allow statements like const a = "FOO"
-          if (isUpperCase(trimmed)) return;
-
-          if (match(trimmed)) return;
+        const technical = scopes.get('technical');
+        if (technical) {
+          explainAllowed(node, technical);
+          return;
+        }
+        const ignored = typeof node.value === 'string' && getIgnoreReason(node.value, isMarkup(node));
+        if (ignored) {
+          explainAllowed(node, ignored);
+          return;
         }
 
         //
         // TYPESCRIPT
         //
 
-        // TODO: Add support for allowing things like:
-        // var a:  'abc' | 'name' = 'abc';
-        // var a: 'abc' = 'abc';
-        // without also allowing things like:
-        // const a = condition ? 'abc' | 'cde';
-        // The original upstream implementation allowed the latter.
-
-        // Another example:
-        // const d: (t: i18next.TFunction) => { [K in Field]: string } = (t) => ({
-        //   field1: ("This used to be allowed when it shouldn't."),
-        //   field2: "This was properly complained about.",
-        // });
+        // allow literals whose contextual type is a string literal type,
+        // still complain about the ones widened to string like:
+        // const a = condition ? 'abc' : 'cde';
+        if (isTypedLiteral(node)) {
+          explainAllowed(node, 'typed as string literal');
+          return;
+        }
 
         // • • • • •
 
-        {
-          const element = getNearestAncestor(node, ['JSXOpeningElement']);
-          const attribute = getNearestAncestor(node, ['JSXAttribute']);
-          if (element !== null && attribute !== null) {
-            complaints.set(node, {
-              node,
-              message: "Forbidden literal string {{string}} as value for attribute '{{attribute}}' for tag '{{tag}}' in {{ code }} ",
-              data: {
-                string: context.getSourceCode().getText(node),
-                attribute: attribute.name.name,
-                tag: element.name.name,
-                code: context.getSourceCode().getText(element),
-              },
-            });
-          }
-        }
         if (notTranslatedYet.has(context.getSourceCode().getText(node))) {
-            return;
+          explainAllowed(node, 'listed in notTranslatedYet');
+          return;
         }
-        context.report(
-          complaints.has(node) ?
-          complaints.get(node) :
-          {
-            node,
-            message: "Forbidden literal string {{string}} in {{ code }}.\nTypes: {{t}} {{ ptype }}",
-            data: {
-              string: context.getSourceCode().getText(node),
-              code: context.getSourceCode().getText(node.parent),
-              t: node.type,
-              ptype: JSON.stringify(context.getAncestors(node).map(n => n.type).slice().reverse()),
-            },
-          });
+        if (complaints.has(node)) {
+          report(complaints.get(node), 'template placeholder');
+        } else {
+          report(describe(node), 'literal');
+        }
+      },
+
+      '*:exit'(node) {
+        scopes.exit(node);
+      },
+
+      'Program:exit'(node) {
+        // vue templates are traversed after the script
+        if (!hasTemplate) finish(node);
       },
     };
 
+    //
+    // ─── VUE ─────────────────────────────────────────────────────────
+    //
+
+    // the script rules apply to expressions in templates like {{ 'abc' }}
+    const templateVisitor = Object.keys(scriptVisitor)
+      .filter(selector => !selector.startsWith('Program') && selector !== '*:exit')
+      .reduce(
+      (acc, selector) => {
+        acc[`VExpressionContainer ${selector}`] = scriptVisitor[selector];
+        return acc;
+      },
+      {}
+    );
+
+    Object.assign(templateVisitor, {
+      '*:exit'(node) {
+        scopes.exit(node);
+      },
+
+      VElement(node) {
+        // allow <i18n-t keypath="key">
+        if (translators.isTranslatorComponent(context, node)) {
+          addTranslation(node);
+        }
+      },
+
+      'VAttribute[directive=true]'(node) {
+        // allow v-t="'key'"
+        if (isTranslationDirective(node)) addTranslation(node);
+
+        // allow :class="'active'"
+        const { name, argument } = node.key;
+        const tagName = node.parent.parent.rawName;
+        if (
+          name.name === 'bind' &&
+          argument &&
+          argument.type === 'VIdentifier' &&
+          !attributePolicy.isTranslatable(tagName, argument.rawName)
+        ) {
+          scopes.enter(node, 'technical', `attribute '${argument.rawName}' of <${tagName}> is not translatable`);
+        }
+      },
+
+      VText(node) {
+        // whitespace between elements
+        if (!node.value.trim()) return;
+        seen.literals++;
+        const ignored = getIgnoreReason(node.value, true);
+        if (ignored) {
+          explainAllowed(node, ignored);
+          return;
+        }
+        if (scopes.has('translation')) {
+          explainAllowed(node, 'inside a translation');
+          return;
+        }
+        if (notTranslatedYet.has(context.getSourceCode().getText(node).trim())) {
+          explainAllowed(node, 'listed in notTranslatedYet');
+          return;
+        }
+        report(describe(node), 'vue text');
+      },
+
+      'VAttribute[directive=false] > VLiteral'(node) {
+        const attribute = node.parent;
+        const element = attribute.parent.parent;
+        const attrName = attribute.key.rawName;
+        const tagName = element.rawName;
+
+        if (!node.value.trim()) return;
+        seen.literals++;
+        // allow <my-button class="active" />
+        if (!attributePolicy.isTranslatable(tagName, attrName)) {
+          explainAllowed(node, `attribute '${attrName}' of <${tagName}> is not translatable`);
+          return;
+        }
+
+        const ignored = getIgnoreReason(node.value, true);
+        if (ignored) {
+          explainAllowed(node, ignored);
+          return;
+        }
+        if (scopes.has('translation')) {
+          explainAllowed(node, 'inside a translation');
+          return;
+        }
+        if (notTranslatedYet.has(context.getSourceCode().getText(node))) {
+          explainAllowed(node, 'listed in notTranslatedYet');
+          return;
+        }
+        report(describe(node), 'vue attribute');
+      },
+
+      'VElement:exit'(node) {
+        if (node === context.getSourceCode().ast.templateBody) {
+          finish(context.getSourceCode().ast);
+        }
+      }
+    });
+
     return (
       (parserServices.defineTemplateBodyVisitor &&
-        parserServices.defineTemplateBodyVisitor({
-            VText(node) {
-              scriptVisitor['JSXText'](node);
-            },
-            'VExpressionContainer CallExpression :matches(Literal, TemplateLiteral)'(node) {
-              scriptVisitor['CallExpression :matches(Literal, TemplateLiteral)'](node);
-            },
-            'VExpressionContainer :matches(Literal, TemplateLiteral):exit'(node) {
-              scriptVisitor[':matches(Literal, TemplateLiteral):exit'](node);
-            }
-          },
-          scriptVisitor
-        )) ||
+        parserServices.defineTemplateBodyVisitor(templateVisitor, scriptVisitor)) ||
       scriptVisitor
     );
   }
@@ -528,22 +870,6 @@ const popularCallee = [
   'startsWith'
 ];
 
-function generateTranslatorWhitelists(option) {
-  const ignoreCallee = (option && option.ignoreTranslatorCallee) || [];
-  const result = {
-    simple: ['i18n', 'i18next', 't', 'T'],
-    complex: ['i18n.t', 'i18next.t']
-  };
-  ignoreCallee.forEach(item => {
-    if (item.indexOf('.') !== -1) {
-      result.complex.push(item);
-    } else {
-      result.simple.push(item);
-    }
-  });
-  return result;
-}
-
 function generateCalleeWhitelists(option) {
   const ignoreCallee = (option && option.ignoreCallee) || [];
   const result = {
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview disallow interpolation values not matching the placeholders of translations
+ * @author edvardchen
+ */
+'use strict';
+
+const {
+  createTranslators,
+  getOptionsArgument,
+  getStaticString,
+  TRANSLATORS_SCHEMA
+} = require('../translator');
+const {
+  loadResources,
+  splitNamespace,
+  findVariants,
+  SEPARATOR_SCHEMA
+} = require('../catalog');
+const { parseInterpolation } = require('../interpolation');
+const { getPropertyName } = require('../binding');
+
+// options of t() which are not interpolated
+const RESERVED_OPTIONS = [
+  'context',
+  'defaultValue',
+  'fallbackLng',
+  'interpolation',
+  'joinArrays',
+  'keyPrefix',
+  'keySeparator',
+  'lng',
+  'lngs',
+  'ns',
+  'nsSeparator',
+  'ordinal',
+  'postProcess',
+  'replace',
+  'returnDetails',
+  'returnObjects',
+  'skipInterpolation'
+];
+
+function isReserved(name) {
+  return RESERVED_OPTIONS.includes(name) || name.startsWith('defaultValue_');
+}
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description:
+        'disallow interpolation values not matching the placeholders of translations',
+      category: 'Possible Errors',
+      recommended: false
+    },
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          resources: {
+            type: 'array',
+            items: {
+              type: 'string'
+            }
+          },
+          keySeparator: SEPARATOR_SCHEMA,
+          nsSeparator: SEPARATOR_SCHEMA,
+          translators: TRANSLATORS_SCHEMA
+        },
+        required: ['resources'],
+        additionalProperties: false
+      }
+    ]
+  },
+
+  create: function(context) {
+    const option = context.options[0] || {};
+    const {
+      resources: files = [],
+      keySeparator = '.',
+      nsSeparator = ':'
+    } = option;
+    const translators = createTranslators(option);
+    // load errors are reported by no-missing-translation-key
+    const { resources } = loadResources(files);
+
+    //----------------------------------------------------------------------
+    // Helpers
+    //----------------------------------------------------------------------
+
+    function findValues(fullKey) {
+      const { key } = splitNamespace(fullKey, nsSeparator);
+      return resources
+        .reduce(
+          (acc, resource) =>
+            acc.concat(findVariants(resource, key, { keySeparator })),
+          []
+        )
+        .filter(value => typeof value === 'string');
+    }
+
+    /**
+     * Variables the translation of a key needs, following nestings
+     * @param {string} key
+     * @param {Set<string>} seen keys already followed, guards against cycles
+     * @returns {Set<string> | null} null if the key is missing
+     */
+    function getVariables(key, seen) {
+      const values = findValues(key);
+      if (!values.length) return null;
+
+      const variables = new Set();
+      seen.add(key);
+      values.forEach(value => {
+        const parsed = parseInterpolation(value);
+        parsed.variables.forEach(name => variables.add(name));
+        parsed.nestings.forEach(nesting => {
+          if (seen.has(nesting.key)) return;
+          const nested = getVariables(nesting.key, seen) || [];
+          nested.forEach(name => {
+            if (!nesting.options.includes(name)) variables.add(name);
+          });
+        });
+      });
+      return variables;
+    }
+
+    /**
+     * The interpolation values passed to t()
+     * @param {object} node options argument
+     * @returns {{ properties: Map<string, object>, complete: boolean }}
+     *  complete is false if there may be more values than the listed ones
+     */
+    function getProvided(node) {
+      const properties = new Map();
+      if (!node) return { properties, complete: true };
+      if (node.type !== 'ObjectExpression') {
+        return { properties, complete: false };
+      }
+
+      let complete = true;
+      node.properties.forEach(property => {
+        const name = property.type === 'Property' && getPropertyName(property);
+        if (!name) {
+          complete = false;
+          return;
+        }
+        // t('key', { replace: { name } })
+        if (name === 'replace') {
+          const replaced = getProvided(property.value);
+          replaced.properties.forEach((value, key) =>
+            properties.set(key, value)
+          );
+          complete = complete && replaced.complete;
+          return;
+        }
+        properties.set(name, property);
+      });
+      return { properties, complete };
+    }
+
+    function check(node) {
+      const [keyNode] = node.arguments;
+      // dynamic keys and fallback arrays
+      const key = keyNode ? getStaticString(keyNode) : null;
+      if (key === null) return;
+
+      // missing keys are reported by no-missing-translation-key
+      const variables = getVariables(key, new Set());
+      if (!variables) return;
+
+      const optionsNode = getOptionsArgument(node);
+      const { properties, complete } = getProvided(optionsNode);
+
+      if (complete) {
+        variables.forEach(name => {
+          if (properties.has(name)) return;
+          context.report({
+            node: optionsNode || node,
+            message:
+              "Missing interpolation value '{{ name }}' for translation '{{ key }}'",
+            data: { name, key }
+          });
+        });
+      }
+
+      properties.forEach((property, name) => {
+        // count is used to pick the plural form
+        if (variables.has(name) || isReserved(name) || name === 'count') {
+          return;
+        }
+        context.report({
+          node: property,
+          message:
+            "Unused interpolation value '{{ name }}' for translation '{{ key }}'",
+          data: { name, key }
+        });
+      });
+    }
+
+    //----------------------------------------------------------------------
+    // Public
+    //----------------------------------------------------------------------
+
+    return {
+      CallExpression(node) {
+        if (translators.isTranslatorCall(context, node)) check(node);
+      }
+    };
+  }
+};
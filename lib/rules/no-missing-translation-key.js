@@ -0,0 +1,350 @@
+/**
+ * @fileoverview disallow translation keys missing from resource files
+ * @author edvardchen
+ */
+'use strict';
+
+const {
+  createTranslators,
+  createKeyVisitor,
+  getStaticKeys,
+  TRANSLATORS_SCHEMA
+} = require('../translator');
+const {
+  loadResources,
+  readResource,
+  createNamespaceFiles,
+  splitNamespace,
+  hasKey,
+  listKeys,
+  SEPARATOR_SCHEMA
+} = require('../catalog');
+const { createNamespaceResolver } = require('../namespace');
+const { getI18nBlocks } = require('../vue');
+const { createKeyResolver } = require('../dynamic-key');
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'disallow translation keys missing from resource files',
+      category: 'Possible Errors',
+      recommended: false
+    },
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          resources: {
+            type: 'array',
+            items: {
+              type: 'string'
+            }
+          },
+          namespaces: {
+            anyOf: [
+              { type: 'string' },
+              {
+                type: 'object',
+                additionalProperties: { type: 'string' }
+              }
+            ]
+          },
+          defaultNS: {
+            anyOf: [
+              { type: 'string' },
+              { type: 'array', items: { type: 'string' } }
+            ]
+          },
+          keySeparator: SEPARATOR_SCHEMA,
+          nsSeparator: SEPARATOR_SCHEMA,
+          translators: TRANSLATORS_SCHEMA
+        },
+        anyOf: [{ required: ['resources'] }, { required: ['namespaces'] }],
+        additionalProperties: false
+      }
+    ]
+  },
+
+  create: function(context) {
+    const option = context.options[0] || {};
+    const {
+      resources: files = [],
+      keySeparator = '.',
+      nsSeparator = ':',
+      defaultNS = 'translation'
+    } = option;
+    const translators = createTranslators(option);
+    const { resources, errors } = loadResources(files);
+
+    const namespaceFiles =
+      option.namespaces && createNamespaceFiles(option.namespaces);
+    const namespaceResolver =
+      namespaceFiles &&
+      createNamespaceResolver(
+        context,
+        option.translators && option.translators.modules
+      );
+    const defaultNamespaces = [].concat(defaultNS);
+    const keyResolver = createKeyResolver(context);
+    // load errors of namespace files are reported once per linted file
+    const reportedFiles = new Set();
+    // messages of the <i18n> blocks of vue single file components
+    const blocks = getI18nBlocks(context.getSourceCode());
+    const localMessages = blocks
+      .filter(block => block.messages)
+      .reduce(
+        (acc, block) =>
+          acc.concat(
+            Object.keys(block.messages).map(locale => block.messages[locale])
+          ),
+        []
+      );
+
+    //----------------------------------------------------------------------
+    // Helpers
+    //----------------------------------------------------------------------
+
+    function exists(fullKey) {
+      const { key } = splitNamespace(fullKey, nsSeparator);
+      return resources.some(resource =>
+        hasKey(resource, key, { keySeparator })
+      );
+    }
+
+    // declared by the component itself
+    function isLocal(key) {
+      return localMessages.some(
+        messages =>
+          messages !== null &&
+          typeof messages === 'object' &&
+          hasKey(messages, key, { keySeparator })
+      );
+    }
+
+    function checkBlocks() {
+      blocks.forEach(block => {
+        if (block.error) {
+          context.report({
+            node: block.node,
+            message: 'Failed to parse <i18n> block: {{ message }}',
+            data: { message: block.error }
+          });
+          return;
+        }
+        // every locale should declare the same keys
+        const locales = Object.keys(block.messages);
+        const keysByLocale = locales.map(locale =>
+          listKeys(block.messages[locale] || {}, keySeparator)
+        );
+        const allKeys = keysByLocale
+          .reduce((acc, keys) => acc.concat(keys), [])
+          .filter((key, i, all) => all.indexOf(key) === i);
+        locales.forEach((locale, i) => {
+          allKeys
+            .filter(key => !keysByLocale[i].includes(key))
+            .forEach(key => {
+              context.report({
+                node: block.node,
+                message:
+                  "Translation key '{{ key }}' of the <i18n> block is missing in locale {{ locale }}",
+                data: { key, locale }
+              });
+            });
+        });
+      });
+    }
+
+    function reportMissing(node, keys, missingFiles) {
+      context.report({
+        node,
+        message: "Missing translation key '{{ key }}' in {{ files }}",
+        data: {
+          key: keys.join("', '"),
+          files: missingFiles.join(', ')
+        }
+      });
+    }
+
+    function check(node, keys) {
+      if (keys.some(key => exists(key) || isLocal(key))) return;
+      reportMissing(node, keys, files);
+    }
+
+    /**
+     * Load the resource of a namespace, reporting errors on node
+     * @returns {{ file: string, resource: object } | null}
+     */
+    function loadNamespace(node, ns) {
+      const file = namespaceFiles.getFile(ns);
+      if (!file) {
+        context.report({
+          node,
+          message: "Unknown namespace '{{ ns }}'",
+          data: { ns }
+        });
+        return null;
+      }
+      try {
+        return { file, resource: readResource(file) };
+      } catch (e) {
+        if (!reportedFiles.has(file)) {
+          reportedFiles.add(file);
+          context.report({
+            node,
+            message:
+              'Failed to load translation resource {{ file }}: {{ message }}',
+            data: { file, message: e.message }
+          });
+        }
+        return null;
+      }
+    }
+
+    // namespaces other than the expected ones which contain the key
+    function findLeaks(key, expected) {
+      return namespaceFiles
+        .list()
+        .filter(ns => !expected.includes(ns))
+        .filter(ns => {
+          const file = namespaceFiles.getFile(ns);
+          try {
+            return hasKey(readResource(file), key, { keySeparator });
+          } catch (e) {
+            return false;
+          }
+        });
+    }
+
+    /**
+     * Check keys in the namespaces they are looked up in
+     * @param {object} node
+     * @param {object | null} scope see createNamespaceResolver
+     * @param {string[]} keys the key and its fallbacks
+     */
+    function checkNamespaced(node, scope, keys) {
+      // dynamic key prefixes can not be checked
+      if (!scope || keys.some(isLocal)) return;
+
+      const lookups = keys.map(fullKey => {
+        const split = splitNamespace(fullKey, nsSeparator);
+        const key = scope.keyPrefix
+          ? `${scope.keyPrefix}${keySeparator || '.'}${split.key}`
+          : split.key;
+        let namespaces = split.ns ? [split.ns] : scope.namespaces;
+        // namespaces only known at runtime, t(key, { ns })
+        if (namespaces === null) namespaces = namespaceFiles.list();
+        if (!namespaces || !namespaces.length) namespaces = defaultNamespaces;
+
+        const loaded = namespaces
+          .map(ns => loadNamespace(node, ns))
+          .filter(Boolean);
+        return {
+          key,
+          namespaces,
+          loaded,
+          found: loaded.some(({ resource }) =>
+            hasKey(resource, key, { keySeparator })
+          )
+        };
+      });
+      if (lookups.some(lookup => lookup.found)) return;
+      // load errors are reported already
+      if (
+        lookups.some(lookup => lookup.loaded.length < lookup.namespaces.length)
+      ) {
+        return;
+      }
+
+      for (const lookup of lookups) {
+        const leaks = findLeaks(lookup.key, lookup.namespaces);
+        if (leaks.length) {
+          context.report({
+            node,
+            message:
+              "Translation key '{{ key }}' is not in namespace {{ expected }} but in {{ actual }}",
+            data: {
+              key: lookup.key,
+              expected: lookup.namespaces.join(', '),
+              actual: leaks.join(', ')
+            }
+          });
+          return;
+        }
+      }
+
+      const missingFiles = lookups
+        .reduce((acc, lookup) => acc.concat(lookup.loaded), [])
+        .map(({ file }) => file)
+        .filter((file, i, all) => all.indexOf(file) === i);
+      reportMissing(
+        node,
+        lookups.map(lookup => lookup.key),
+        missingFiles
+      );
+    }
+
+    /**
+     * @param {object} node the key
+     * @param {function(): object | null} [resolveScope] the namespaces the
+     *  key is looked up in, the default namespace if omitted
+     */
+    function checkKey(node, resolveScope) {
+      const keys = getStaticKeys(node);
+      // every key a dynamic key is declared to take has to exist, other
+      // dynamic keys can not be checked
+      const lookups = keys
+        ? [keys]
+        : (keyResolver.resolveKeys(node) || []).map(key => [key]);
+      if (!lookups.length) return;
+
+      if (!namespaceFiles) {
+        lookups.forEach(item => check(node, item));
+        return;
+      }
+      const scope = resolveScope
+        ? resolveScope()
+        : { namespaces: undefined, keyPrefix: undefined };
+      lookups.forEach(item => checkNamespaced(node, scope, item));
+    }
+
+    /**
+     * @param {object} node the key
+     * @param {object} owner the translator call or element it is given by
+     */
+    function checkOwnedKey(node, owner) {
+      switch (owner.type) {
+        case 'CallExpression':
+          checkKey(node, () => namespaceResolver.resolveCall(owner));
+          break;
+        case 'JSXOpeningElement':
+          checkKey(node, () => namespaceResolver.resolveElement(owner));
+          break;
+        default:
+          // vue-i18n has no namespaces
+          checkKey(node);
+      }
+    }
+
+    //----------------------------------------------------------------------
+    // Public
+    //----------------------------------------------------------------------
+
+    return createKeyVisitor(context, translators, checkOwnedKey, {
+      Program(node) {
+        errors.forEach(error => {
+          context.report({
+            node,
+            message:
+              'Failed to load translation resource {{ file }}: {{ message }}',
+            data: error
+          });
+        });
+        checkBlocks();
+      }
+    });
+  }
+};
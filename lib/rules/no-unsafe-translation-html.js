@@ -0,0 +1,217 @@
+/**
+ * @fileoverview disallow rendering translations as unescaped HTML
+ * @author edvardchen
+ */
+'use strict';
+
+const {
+  createTranslators,
+  getOptionsArgument,
+  TRANSLATORS_SCHEMA
+} = require('../translator');
+const { createBindingResolver, getPropertyName } = require('../binding');
+const { getParserServices } = require('../context');
+
+// properties parsing what is assigned to them as HTML
+const HTML_PROPERTIES = ['innerHTML', 'outerHTML'];
+
+// methods parsing an argument as HTML, by the index of the argument
+const HTML_METHODS = {
+  insertAdjacentHTML: 1,
+  createContextualFragment: 0,
+  'document.write': 0,
+  'document.writeln': 0
+};
+
+// expressions passing on the value of one of their operands
+const TRANSPARENT_TYPES = [
+  'TSAsExpression',
+  'TSNonNullExpression',
+  'TypeCastExpression'
+];
+
+function getProperty(node, name) {
+  if (!node || node.type !== 'ObjectExpression') return undefined;
+  return node.properties.find(
+    item => item.type === 'Property' && getPropertyName(item) === name
+  );
+}
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'disallow rendering translations as unescaped HTML',
+      category: 'Best Practices',
+      recommended: false
+    },
+    messages: {
+      htmlSink:
+        'Translation rendered as HTML by {{ sink }}, markup in the catalog is not escaped. Use {{ alternative }} instead',
+      unescapedInterpolation:
+        'Translation interpolating values with escapeValue: false, markup in the values is not escaped. Use {{ alternative }} instead'
+    },
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          translators: TRANSLATORS_SCHEMA
+        },
+        additionalProperties: false
+      }
+    ]
+  },
+
+  create: function(context) {
+    const option = context.options[0] || {};
+    const translators = createTranslators(option);
+    const bindings = createBindingResolver(context);
+    const sourceCode = context.getSourceCode();
+    const parserServices = getParserServices(context);
+    const isVue = Boolean(
+      parserServices.defineTemplateBodyVisitor && sourceCode.ast.templateBody
+    );
+    // how markup is put into translations safely
+    const alternative = isVue ? '<i18n-t> with slots' : '<Trans components>';
+
+    //----------------------------------------------------------------------
+    // Helpers
+    //----------------------------------------------------------------------
+
+    /**
+     * Whether the value of an expression comes from a translation, directly
+     * like t('promo') + suffix or through variables assigned one
+     * @param {object} node
+     * @param {Set} [variables] variables followed already
+     * @returns {boolean}
+     */
+    function isTranslated(node, variables = new Set()) {
+      if (!node) return false;
+      const check = item => isTranslated(item, variables);
+      switch (node.type) {
+        case 'CallExpression':
+          // other calls like DOMPurify.sanitize(t('promo')) are trusted
+          return translators.isTranslatorCall(context, node);
+        case 'TaggedTemplateExpression':
+          return translators.isTranslatorTag(context, node);
+        case 'TemplateLiteral':
+          return node.expressions.some(check);
+        case 'BinaryExpression':
+        case 'LogicalExpression':
+          return check(node.left) || check(node.right);
+        case 'ConditionalExpression':
+          return check(node.consequent) || check(node.alternate);
+        case 'SequenceExpression':
+          return check(node.expressions[node.expressions.length - 1]);
+        case 'AssignmentExpression':
+          return check(node.right);
+        case 'Identifier': {
+          // writes followed may be in other scopes than the visited node
+          const variable = bindings.resolveVariable(node);
+          if (!variable || variables.has(variable)) return false;
+          variables.add(variable);
+          // const html = t('promo') or html = t('promo')
+          return variable.references.some(
+            reference => reference.writeExpr && check(reference.writeExpr)
+          );
+        }
+        default:
+          return (
+            TRANSPARENT_TYPES.includes(node.type) && check(node.expression)
+          );
+      }
+    }
+
+    function checkSink(node, sink) {
+      if (!isTranslated(node)) return;
+      context.report({
+        node,
+        messageId: 'htmlSink',
+        data: { sink, alternative }
+      });
+    }
+
+    function getMethodName(callee) {
+      if (callee.type !== 'MemberExpression') return undefined;
+      const methods = Object.keys(HTML_METHODS);
+      const name = getPropertyName(callee);
+      if (methods.includes(name)) return name;
+      const text = sourceCode.getText(callee);
+      return methods.includes(text) ? text : undefined;
+    }
+
+    // t('promo', { interpolation: { escapeValue: false } })
+    function checkInterpolation(node) {
+      if (!translators.isTranslatorCall(context, node)) return;
+      const interpolation = getProperty(
+        getOptionsArgument(node),
+        'interpolation'
+      );
+      const escapeValue =
+        interpolation && getProperty(interpolation.value, 'escapeValue');
+      if (
+        !escapeValue ||
+        escapeValue.value.type !== 'Literal' ||
+        escapeValue.value.value !== false
+      ) {
+        return;
+      }
+      context.report({
+        node: escapeValue,
+        messageId: 'unescapedInterpolation',
+        data: { alternative }
+      });
+    }
+
+    //----------------------------------------------------------------------
+    // Public
+    //----------------------------------------------------------------------
+
+    const scriptVisitor = {
+      // el.innerHTML = t('promo')
+      AssignmentExpression(node) {
+        if (node.left.type !== 'MemberExpression') return;
+        const name = getPropertyName(node.left);
+        if (HTML_PROPERTIES.includes(name)) checkSink(node.right, name);
+      },
+
+      // { __html: t('promo') } or h('div', { innerHTML: t('promo') })
+      Property(node) {
+        if (node.parent.type !== 'ObjectExpression') return;
+        const name = getPropertyName(node);
+        if (name === '__html') checkSink(node.value, 'dangerouslySetInnerHTML');
+        else if (name === 'innerHTML') checkSink(node.value, name);
+      },
+
+      // <div innerHTML={t('promo')} /> of preact and solid
+      'JSXAttribute[name.name="innerHTML"] > JSXExpressionContainer'(node) {
+        checkSink(node.expression, 'innerHTML');
+      },
+
+      // el.insertAdjacentHTML('beforeend', t('promo'))
+      CallExpression(node) {
+        checkInterpolation(node);
+        const method = getMethodName(node.callee);
+        if (method) checkSink(node.arguments[HTML_METHODS[method]], method);
+      }
+    };
+
+    if (!parserServices.defineTemplateBodyVisitor) {
+      return scriptVisitor;
+    }
+    return parserServices.defineTemplateBodyVisitor(
+      {
+        // v-html="$t('promo')"
+        'VAttribute[directive=true]'(node) {
+          if (node.key.name.name !== 'html' || !node.value) return;
+          checkSink(node.value.expression, 'v-html');
+        },
+        'VExpressionContainer CallExpression': checkInterpolation
+      },
+      scriptVisitor
+    );
+  }
+};
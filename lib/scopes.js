@@ -0,0 +1,67 @@
+/**
+ * @fileoverview scopes a node is in, tracked along with the traversal
+ * @author edvardchen
+ */
+'use strict';
+
+/**
+ * Track scopes like translations or ignored callees while ESLint traverses
+ * the tree: a scope is entered with the node opening it and left when that
+ * node is exited, so the innermost scope of a kind is known in constant time
+ * instead of by walking the ancestors of every literal.
+ * @returns {{
+ *  enter: (node: object, kind: string, value?: any) => void,
+ *  exit: (node: object) => void,
+ *  get: (kind: string) => any,
+ *  has: (kind: string) => boolean
+ * }}
+ */
+function createScopes() {
+  // scopes by kind, innermost last
+  const kinds = {};
+  // every scope in the order entered
+  const stack = [];
+
+  function getKind(kind) {
+    if (!kinds[kind]) kinds[kind] = [];
+    return kinds[kind];
+  }
+
+  return {
+    /**
+     * @param {object} node the node opening the scope, an ancestor of every
+     *  node visited until it is exited
+     * @param {string} kind
+     * @param {any} [value] like why strings in the scope are allowed
+     */
+    enter(node, kind, value = node) {
+      getKind(kind).push(value);
+      stack.push({ node, kind });
+    },
+
+    /**
+     * To be called when exiting any node
+     * @param {object} node
+     */
+    exit(node) {
+      while (stack.length && stack[stack.length - 1].node === node) {
+        kinds[stack.pop().kind].pop();
+      }
+    },
+
+    /**
+     * @param {string} kind
+     * @returns {any} the value of the innermost scope of the kind
+     */
+    get(kind) {
+      const scopes = getKind(kind);
+      return scopes[scopes.length - 1];
+    },
+
+    has(kind) {
+      return getKind(kind).length > 0;
+    }
+  };
+}
+
+exports.createScopes = createScopes;
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview serialize the children of <Trans> like react-i18next does
+ * @author edvardchen
+ */
+'use strict';
+
+const { getStaticString } = require('./translator');
+const { getPropertyName } = require('./binding');
+
+// elements react-i18next keeps by name, like <br/> or <strong>bold</strong>
+const BASIC_HTML = ['br', 'strong', 'i', 'p'];
+
+// <0>, <1/>, <strong>
+const COMPONENT = /<(\d+|[A-Za-z][\w-]*)\s*\/?>/g;
+
+/**
+ * Clean JSX text like React does, dropping whitespace around line breaks
+ * @param {string} text
+ * @returns {string}
+ */
+function cleanJSXText(text) {
+  const lines = text.split(/\r\n|\n|\r/);
+  let lastNonEmpty = 0;
+  lines.forEach((line, i) => {
+    if (/[^ \t]/.test(line)) lastNonEmpty = i;
+  });
+
+  return lines.reduce((acc, line, i) => {
+    let trimmed = line.replace(/\t/g, ' ');
+    if (i !== 0) trimmed = trimmed.replace(/^ +/, '');
+    if (i !== lines.length - 1) trimmed = trimmed.replace(/ +$/, '');
+    if (!trimmed) return acc;
+    return acc + trimmed + (i === lastNonEmpty ? '' : ' ');
+  }, '');
+}
+
+function isText(node) {
+  return (
+    node.type === 'JSXText' ||
+    (node.type === 'Literal' && typeof node.value === 'string')
+  );
+}
+
+// the children React passes, without empty text and {/* comments */}
+function getChildren(element) {
+  return element.children.filter(child => {
+    if (isText(child)) return cleanJSXText(child.value) !== '';
+    return !(
+      child.type === 'JSXExpressionContainer' &&
+      child.expression.type === 'JSXEmptyExpression'
+    );
+  });
+}
+
+// {{ name }} or {{ name: user.name }}
+function getValueName(expression) {
+  if (expression.type !== 'ObjectExpression') return null;
+  const { properties } = expression;
+  if (properties.length !== 1) return null;
+  const [property] = properties;
+  if (property.type !== 'Property') return null;
+  const name = getPropertyName(property);
+  return name === undefined ? null : name;
+}
+
+/**
+ * Serialize the children of a <Trans> element into the default value
+ * react-i18next looks them up with, like 'Hello <1>{{name}}</1>'
+ * @param {object} element JSXElement
+ * @returns {{ text: string, components: string[], values: string[], invalid: object[] }}
+ *  the markers of components and values the children provide, and the
+ *  children which can not be serialized
+ */
+function serializeChildren(element) {
+  const result = { text: '', components: [], values: [], invalid: [] };
+
+  getChildren(element).forEach((child, index) => {
+    if (isText(child)) {
+      result.text += cleanJSXText(child.value);
+      return;
+    }
+
+    if (child.type === 'JSXExpressionContainer') {
+      // {'text'} or {`text`}
+      const text = getStaticString(child.expression);
+      const name = getValueName(child.expression);
+      if (text !== null) {
+        result.text += text;
+      } else if (name !== null) {
+        result.text += `{{${name}}}`;
+        result.values.push(name);
+      } else {
+        result.invalid.push(child);
+      }
+      return;
+    }
+
+    if (child.type !== 'JSXElement') {
+      result.invalid.push(child);
+      return;
+    }
+
+    const { openingElement } = child;
+    const tag = openingElement.name.name;
+    const children = getChildren(child);
+    const basic = BASIC_HTML.includes(tag) && !openingElement.attributes.length;
+
+    if (basic && !children.length) {
+      result.text += `<${tag}/>`;
+      result.components.push(tag);
+    } else if (basic && children.length === 1 && isText(children[0])) {
+      result.text += `<${tag}>${cleanJSXText(children[0].value)}</${tag}>`;
+      result.components.push(tag);
+    } else {
+      const nested = serializeChildren(child);
+      result.text += `<${index}>${nested.text}</${index}>`;
+      result.components.push(String(index), ...nested.components);
+      result.values.push(...nested.values);
+      result.invalid.push(...nested.invalid);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * @param {string} value translation
+ * @returns {string[]} names of the components it uses, like ['0', 'strong']
+ */
+function parseComponents(value) {
+  const names = [];
+  let match;
+  COMPONENT.lastIndex = 0;
+  while ((match = COMPONENT.exec(value))) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+exports.BASIC_HTML = BASIC_HTML;
+exports.serializeChildren = serializeChildren;
+exports.parseComponents = parseComponents;
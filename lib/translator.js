@@ -0,0 +1,273 @@
+/**
+ * @fileoverview detect calls of translation functions
+ * @author edvardchen
+ */
+'use strict';
+
+const { createBindingResolver } = require('./binding');
+const { getDirectiveKey } = require('./vue');
+const { getParserServices } = require('./context');
+
+// functions vue-i18n injects into components, they have no binding to resolve
+const GLOBAL_FUNCTIONS = ['$t', '$tc'];
+
+const DEFAULT_TRANSLATORS = {
+  functions: ['i18n', 'i18next', 't', 'T', 'i18n.t', 'i18next.t'].concat(
+    GLOBAL_FUNCTIONS
+  ),
+  taggedTemplates: ['t', 'T'],
+  // <i18n> and <i18n-t> of vue-i18n
+  components: ['Trans', 'Translation', 'i18n', 'i18n-t']
+};
+
+const patternList = {
+  type: 'array',
+  items: {
+    type: 'string'
+  }
+};
+
+// shared by every rule which needs to recognize translations
+const TRANSLATORS_SCHEMA = {
+  type: 'object',
+  properties: {
+    functions: patternList,
+    taggedTemplates: patternList,
+    components: patternList,
+    resolution: {
+      enum: ['name', 'scope']
+    },
+    modules: patternList
+  },
+  additionalProperties: false
+};
+
+/**
+ * Compile a pattern into a RegExp
+ * @param {string} pattern '/regexp/flags', or a name where * matches
+ *  anything but dots and ** matches anything
+ * @returns {RegExp}
+ */
+function compilePattern(pattern) {
+  const regexp = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regexp) return new RegExp(regexp[1], regexp[2]);
+
+  const source = pattern
+    .split('**')
+    .map(part =>
+      part
+        .split('*')
+        .map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('[^.]*')
+    )
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Names a callee can be matched with, e.g. this.props.t gives
+ * t, props.t and this.props.t
+ * @param {string} text source text of the callee
+ * @returns {string[]}
+ */
+function getNameCandidates(text) {
+  const segments = text.replace(/\s+/g, '').split('.');
+  return segments.map((_, i) => segments.slice(i).join('.'));
+}
+
+function createMatcher(patterns) {
+  const regexps = patterns.map(compilePattern);
+  return text =>
+    getNameCandidates(text).some(name =>
+      regexps.some(regexp => regexp.test(name))
+    );
+}
+
+/**
+ * Create matchers of translation entry points from the `translators` option.
+ * The configured patterns extend the defaults. With `resolution: 'scope'`
+ * i18next functions are only trusted when they are bound by i18next, the
+ * default `'name'` trusts any callee named like one.
+ * @param {object} [option] rule option, reads `translators` and the legacy `ignoreTranslatorCallee`
+ * @returns {{ isTranslatorCall: function(object, object): boolean, isTranslatorTag: function(object, object): boolean, isTranslatorComponent: function(object, object): boolean }}
+ */
+function createTranslators(option) {
+  const translators = (option && option.translators) || {};
+  const legacyCallee = (option && option.ignoreTranslatorCallee) || [];
+  const patterns = key =>
+    DEFAULT_TRANSLATORS[key].concat(translators[key] || []);
+
+  const scopeAware = translators.resolution === 'scope';
+
+  // with scope resolution the built-in functions are recognized by their
+  // binding instead of their name
+  const matchFunction = createMatcher(
+    (scopeAware ? GLOBAL_FUNCTIONS : DEFAULT_TRANSLATORS.functions)
+      .concat(translators.functions || [])
+      .concat(legacyCallee)
+  );
+  const matchTag = createMatcher(patterns('taggedTemplates'));
+  const matchComponent = createMatcher(patterns('components'));
+
+  const resolvers = new WeakMap();
+  function getResolver(context) {
+    if (!resolvers.has(context)) {
+      resolvers.set(
+        context,
+        createBindingResolver(context, translators.modules)
+      );
+    }
+    return resolvers.get(context);
+  }
+
+  function matchCallee(context, callee) {
+    if (callee.type === 'Identifier') return matchFunction(callee.name);
+    if (callee.type !== 'MemberExpression') return false;
+    return matchFunction(context.getSourceCode().getText(callee));
+  }
+
+  return {
+    /**
+     * @param {object} context rule context
+     * @param {object} node CallExpression
+     */
+    isTranslatorCall(context, { callee }) {
+      if (matchCallee(context, callee)) return true;
+      return scopeAware && Boolean(getResolver(context).resolveCallee(callee));
+    },
+
+    /**
+     * @param {object} context rule context
+     * @param {object} node TaggedTemplateExpression
+     */
+    isTranslatorTag(context, { tag }) {
+      // t`key` or t(options)`key`
+      const name = tag.type === 'CallExpression' ? tag.callee : tag;
+      if (!['Identifier', 'MemberExpression'].includes(name.type)) return false;
+      return matchTag(context.getSourceCode().getText(name));
+    },
+
+    /**
+     * @param {object} context rule context
+     * @param {object} node JSXOpeningElement, or VElement in vue templates
+     */
+    isTranslatorComponent(context, node) {
+      if (node.type === 'VElement') return matchComponent(node.rawName);
+      return matchComponent(context.getSourceCode().getText(node.name));
+    }
+  };
+}
+
+/**
+ * @param {object} node
+ * @returns {string | null} the value of a string literal or of a template
+ *  literal without expressions, null if it is computed at runtime
+ */
+function getStaticString(node) {
+  if (node.type === 'Literal') {
+    return typeof node.value === 'string' ? node.value : null;
+  }
+  if (node.type === 'TemplateLiteral' && !node.expressions.length) {
+    return node.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+/**
+ * Get the statically known keys passed to a translator
+ * @param {object} node first argument of t() or value of i18nKey
+ * @returns {string[] | null} null if the key is computed at runtime
+ */
+function getStaticKeys(node) {
+  if (!node) return null;
+  if (node.type === 'JSXExpressionContainer') {
+    return getStaticKeys(node.expression);
+  }
+  // <i18n-t keypath="key"> in vue templates
+  if (node.type === 'VLiteral') return [node.value];
+  if (node.type === 'ArrayExpression') {
+    // t(['unknown', 'fallback'])
+    const keys = node.elements.map(getStaticKeys);
+    if (!keys.length || keys.some(item => !item)) return null;
+    return keys.reduce((acc, val) => acc.concat(val), []);
+  }
+  const text = getStaticString(node);
+  return text === null ? null : [text];
+}
+
+/**
+ * The options argument of a translation call, skipping the default value in
+ * t('key', 'default value', { count })
+ * @param {object} node CallExpression
+ * @returns {object | undefined}
+ */
+function getOptionsArgument(node) {
+  const [, second, third] = node.arguments;
+  if (!second) return undefined;
+  const isDefaultValue =
+    (second.type === 'Literal' && typeof second.value === 'string') ||
+    second.type === 'TemplateLiteral';
+  return isDefaultValue ? third : second;
+}
+
+/**
+ * Create a visitor passing every key given to a translator to checkKey:
+ * the first argument of t(), the i18nKey of <Trans> and in vue templates
+ * v-t="'key'" and the keypath of <i18n-t>
+ * @param {object} context rule context
+ * @param {object} translators see createTranslators
+ * @param {function(object, object): void} checkKey called with the key and
+ *  the CallExpression, JSXOpeningElement or vue VAttribute it is given by
+ * @param {object} [visitor] script visitor of the rule to extend
+ * @returns {object} visitor
+ */
+function createKeyVisitor(context, translators, checkKey, visitor) {
+  function checkCall(node) {
+    if (!translators.isTranslatorCall(context, node)) return;
+    if (node.arguments.length) checkKey(node.arguments[0], node);
+  }
+
+  const scriptVisitor = Object.assign({}, visitor, {
+    CallExpression: checkCall,
+
+    'JSXOpeningElement > JSXAttribute[name.name="i18nKey"]'(node) {
+      if (!translators.isTranslatorComponent(context, node.parent)) return;
+      if (node.value) checkKey(node.value, node.parent);
+    }
+  });
+
+  const parserServices = getParserServices(context);
+  if (!parserServices.defineTemplateBodyVisitor) {
+    return scriptVisitor;
+  }
+  return parserServices.defineTemplateBodyVisitor(
+    {
+      'VExpressionContainer CallExpression': checkCall,
+
+      // v-t="'key'"
+      'VAttribute[directive=true][key.name.name="t"]'(node) {
+        const key = getDirectiveKey(node);
+        if (key) checkKey(key, node);
+      },
+
+      // <i18n-t keypath="key"> and <i18n path="key">
+      'VAttribute[directive=false] > VLiteral'(node) {
+        const attribute = node.parent;
+        const element = attribute.parent.parent;
+        if (!['keypath', 'path'].includes(attribute.key.name)) return;
+        if (translators.isTranslatorComponent(context, element)) {
+          checkKey(node, attribute);
+        }
+      }
+    },
+    scriptVisitor
+  );
+}
+
+exports.TRANSLATORS_SCHEMA = TRANSLATORS_SCHEMA;
+exports.compilePattern = compilePattern;
+exports.createTranslators = createTranslators;
+exports.getStaticString = getStaticString;
+exports.getStaticKeys = getStaticKeys;
+exports.getOptionsArgument = getOptionsArgument;
+exports.createKeyVisitor = createKeyVisitor;
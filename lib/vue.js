@@ -0,0 +1,82 @@
+/**
+ * @fileoverview helpers for vue templates and single file components
+ * @author edvardchen
+ */
+'use strict';
+
+const { getAttribute } = require('./helper');
+
+/**
+ * Whether an attribute is the v-t directive of vue-i18n, like v-t="'key'"
+ * @param {object} node VAttribute
+ * @returns {boolean}
+ */
+function isTranslationDirective(node) {
+  return (
+    node.directive &&
+    node.key.type === 'VDirectiveKey' &&
+    node.key.name.name === 't'
+  );
+}
+
+/**
+ * The key expressions of a v-t directive, the value itself or the path
+ * of v-t="{ path: 'key', args: { name } }"
+ * @param {object} node VAttribute
+ * @returns {object | null}
+ */
+function getDirectiveKey(node) {
+  const expression = node.value && node.value.expression;
+  if (!expression) return null;
+  if (expression.type !== 'ObjectExpression') return expression;
+
+  const path = expression.properties.find(
+    property =>
+      property.type === 'Property' &&
+      !property.computed &&
+      (property.key.name === 'path' || property.key.value === 'path')
+  );
+  return path ? path.value : null;
+}
+
+/**
+ * Parse the <i18n> custom blocks of a single file component, see
+ * https://kazupon.github.io/vue-i18n/guide/sfc.html
+ * @param {object} sourceCode
+ * @returns {Array<{ node: object, messages: object } | { node: object, error: string }>}
+ *  messages by locale
+ */
+function getI18nBlocks(sourceCode) {
+  const { templateBody } = sourceCode.ast;
+  // the document is only available along with a template
+  if (!templateBody || !templateBody.parent) return [];
+
+  return templateBody.parent.children
+    .filter(node => node.type === 'VElement' && node.name === 'i18n')
+    .filter(node => {
+      const lang = getAttribute(node, 'lang');
+      return !lang || !lang.value || lang.value.value === 'json';
+    })
+    .map(node => {
+      const text = node.endTag
+        ? sourceCode.text.slice(node.startTag.range[1], node.endTag.range[0])
+        : '';
+      let messages;
+      try {
+        messages = text.trim() ? JSON.parse(text) : {};
+      } catch (e) {
+        return { node, error: e.message };
+      }
+
+      // <i18n locale="en">{ "hello": "Hello" }</i18n>
+      const locale = getAttribute(node, 'locale');
+      if (locale && locale.value) {
+        messages = { [locale.value.value]: messages };
+      }
+      return { node, messages };
+    });
+}
+
+exports.isTranslationDirective = isTranslationDirective;
+exports.getDirectiveKey = getDirectiveKey;
+exports.getI18nBlocks = getI18nBlocks;
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview record the literals no-literal-string reports into a baseline
+ * @author edvardchen
+ */
+'use strict';
+
+const fs = require('fs');
+const pathLib = require('path');
+const { collectLiterals } = require('./collect');
+const { createBaseline, getRemovedFiles } = require('./baseline');
+const { mkdirp } = require('./helper');
+
+/**
+ * Write every literal no-literal-string reports into a baseline file,
+ * which the baseline option of the rule suppresses
+ * @param {string[]} patterns files, directories or globs to lint
+ * @param {object} options
+ * @param {string} options.output baseline file, paths in it are relative to it
+ * @param {object} [options.eslintOptions] extra CLIEngine options
+ * @returns {{ output: string, files: number, literals: number, removed: string[] }}
+ *  removed are the files of the previous baseline which no longer exist
+ */
+function writeBaseline(patterns, options) {
+  const { output, eslintOptions } = options;
+  const records = collectLiterals(patterns, { eslintOptions });
+  const baseline = createBaseline(records, output);
+  const removed = getRemovedFiles(output);
+
+  mkdirp(pathLib.dirname(pathLib.resolve(output)));
+  fs.writeFileSync(output, JSON.stringify(baseline, null, 2) + '\n');
+
+  return {
+    output,
+    files: Object.keys(baseline).length,
+    literals: records.length,
+    removed
+  };
+}
+
+exports.writeBaseline = writeBaseline;
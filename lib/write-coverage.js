@@ -0,0 +1,56 @@
+/**
+ * @fileoverview measure the translation coverage of a project
+ * @author edvardchen
+ */
+'use strict';
+
+const fs = require('fs');
+const pathLib = require('path');
+const { lintLiterals } = require('./collect');
+const { mkdirp } = require('./helper');
+const {
+  clearRecords,
+  createReport,
+  format,
+  writeSummary,
+  checkThreshold,
+  readPrevious
+} = require('./coverage');
+
+/**
+ * Lint files with no-literal-string and write their translation coverage,
+ * compared with the report of a previous run
+ * @param {string[]} patterns files, directories or globs to lint
+ * @param {object} options
+ * @param {string} options.output report to write
+ * @param {string} [options.format] json (default), markdown or html
+ * @param {string} [options.summary] file to write a markdown (.md) or html
+ *  summary to
+ * @param {string} [options.previous] JSON report of a previous run, may be
+ *  output itself
+ * @param {number} [options.threshold] percentage points coverage may drop by
+ * @param {object} [options.eslintOptions] extra CLIEngine options
+ * @returns {{ output: string, report: object, failure: string | null }}
+ *  failure tells why the coverage is not good enough
+ */
+function writeCoverage(patterns, options) {
+  const { output, summary, previous, threshold = 0, eslintOptions } = options;
+  // read before output may overwrite it
+  const previousReport = previous ? readPrevious(previous) : null;
+
+  clearRecords();
+  const report = createReport(lintLiterals(patterns, { eslintOptions }));
+  clearRecords();
+
+  mkdirp(pathLib.dirname(pathLib.resolve(output)));
+  fs.writeFileSync(output, format(options.format || 'json', report));
+  if (summary) writeSummary(summary, report);
+
+  return {
+    output,
+    report,
+    failure: previousReport && checkThreshold(report, previousReport, threshold)
+  };
+}
+
+exports.writeCoverage = writeCoverage;
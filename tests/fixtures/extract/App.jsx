@@ -0,0 +1,12 @@
+import React from 'react';
+
+export default function App({ user }) {
+  const title = `Hello ${user.name}`;
+  return (
+    <div className="app" title={title}>
+      Welcome back
+      <button aria-label="Close">Close</button>
+      {`${user.first}${user.last()}`}
+    </div>
+  );
+}
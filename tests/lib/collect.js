@@ -0,0 +1,65 @@
+/**
+ * @fileoverview collect the literals no-literal-string reports
+ * @author edvardchen
+ */
+'use strict';
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var createCollectorRule = require('../../lib/collect').createCollectorRule,
+  rule = require('../../lib/rules/no-literal-string'),
+  assert = require('assert'),
+  path = require('path'),
+  Linter = require('eslint').Linter;
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe('createCollectorRule', function() {
+  // creating the program of the first file takes a while
+  this.timeout(10000);
+
+  it('records values reported for branded types without text', () => {
+    const records = [];
+    const linter = new Linter();
+    linter.defineRule(
+      'collect',
+      createCollectorRule(
+        rule,
+        record => records.push(record),
+        x => x
+      )
+    );
+    const code = `type TranslatedString = string & { __brand: 'translated' };
+declare function notify(message: TranslatedString): void;
+declare var name: string;
+notify(name);
+notify('Save');
+`;
+
+    const messages = linter.verify(
+      code,
+      {
+        parser: '@typescript-eslint/parser',
+        parserOptions: {
+          sourceType: 'module',
+          project: path.resolve(__dirname, 'rules/tsconfig.json')
+        },
+        rules: { collect: ['error', { brandedTypes: ['TranslatedString'] }] }
+      },
+      { filename: path.resolve(__dirname, 'rules/file.ts') }
+    );
+
+    assert.deepStrictEqual(messages, []);
+    assert.deepStrictEqual(
+      records.map(({ line, code, text }) => ({ line, code, text })),
+      [
+        { line: 4, code: 'name', text: null },
+        { line: 5, code: "'Save'", text: 'Save' }
+      ]
+    );
+  });
+});
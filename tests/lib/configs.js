@@ -0,0 +1,235 @@
+/**
+ * @fileoverview shareable configs, as eslintrc and as flat configs
+ * @author edvardchen
+ */
+'use strict';
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var plugin = require('../../lib'),
+  PRESETS = require('../../lib/configs').PRESETS,
+  assert = require('assert'),
+  Linter = require('eslint').Linter;
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+function createLinter() {
+  const linter = new Linter();
+  Object.keys(plugin.rules).forEach(name => {
+    linter.defineRule(`i18next/${name}`, plugin.rules[name]);
+  });
+  return linter;
+}
+
+// lint with the rules of a config, type information aside
+function lint(config, code) {
+  return createLinter().verify(code, {
+    parser:
+      config.parser === 'vue-eslint-parser' ? config.parser : 'babel-eslint',
+    parserOptions: Object.assign(
+      { sourceType: 'module' },
+      config.parserOptions,
+      {
+        project: undefined
+      }
+    ),
+    rules: config.rules
+  });
+}
+
+// the innermost scope of node, like SourceCode#getScope of ESLint 9
+function getScope(scopeManager, node) {
+  const inner = node.type !== 'Program';
+  for (let temp = node; temp; temp = temp.parent) {
+    const scope = scopeManager.acquire(temp, inner);
+    if (scope) {
+      return scope.type === 'function-expression-name'
+        ? scope.childScopes[0]
+        : scope;
+    }
+  }
+  return scopeManager.scopes[0];
+}
+
+// run a rule with the context of ESLint 9, which has the scope and the
+// parser services only on the source code
+function toESLint9(rule) {
+  const removed = name => () => {
+    throw new Error(`context.${name}() was removed in ESLint 9`);
+  };
+  return Object.assign({}, rule, {
+    create(context) {
+      const sourceCode = context.getSourceCode();
+      const { scopeManager } = sourceCode;
+      return rule.create(
+        Object.create(context, {
+          sourceCode: {
+            value: Object.create(sourceCode, {
+              getScope: { value: node => getScope(scopeManager, node) },
+              getDeclaredVariables: {
+                value: node => scopeManager.getDeclaredVariables(node)
+              }
+            })
+          },
+          parserServices: { value: undefined },
+          getScope: { value: removed('getScope') },
+          getDeclaredVariables: { value: removed('getDeclaredVariables') }
+        })
+      );
+    }
+  });
+}
+
+// lint with a flat config the way ESLint 9 runs its rules
+function lintFlat(config, code) {
+  const linter = new Linter();
+  const { rules } = config.plugins.i18next;
+  Object.keys(rules).forEach(name => {
+    linter.defineRule(`i18next/${name}`, toESLint9(rules[name]));
+  });
+  const languageOptions = config.languageOptions || {};
+  if (languageOptions.parser) {
+    linter.defineParser('flat-parser', languageOptions.parser);
+  }
+  return linter.verify(code, {
+    // espree of ESLint 5 does not parse the syntax of ESLint 9
+    parser: languageOptions.parser ? 'flat-parser' : 'babel-eslint',
+    parserOptions: Object.assign(
+      { sourceType: 'module' },
+      languageOptions.parserOptions,
+      { project: undefined }
+    ),
+    rules: config.rules
+  });
+}
+
+describe('configs', function() {
+  this.timeout(10000);
+
+  it('keeps the recommended eslintrc config', () => {
+    assert.deepStrictEqual(plugin.configs.recommended, {
+      plugins: ['i18next'],
+      rules: { 'i18next/no-literal-string': [2] }
+    });
+  });
+
+  Object.keys(PRESETS).forEach(name => {
+    it(`configures valid options in ${name}`, () => {
+      const config = plugin.configs[name];
+      assert.deepStrictEqual(config.plugins, ['i18next']);
+      const code = name === 'vue' ? '<template><p /></template>' : 'a();';
+      assert.deepStrictEqual(lint(config, code), []);
+    });
+
+    it(`exports flat/${name}`, () => {
+      const config = plugin.configs[`flat/${name}`];
+      assert.strictEqual(config.plugins.i18next, plugin);
+      assert.strictEqual(config.rules, PRESETS[name].rules);
+      if (PRESETS[name].parser) {
+        assert.strictEqual(
+          config.languageOptions.parser,
+          require(PRESETS[name].parser)
+        );
+      }
+    });
+  });
+
+  Object.keys(PRESETS).forEach(name => {
+    it(`lints with flat/${name} as ESLint 9 does`, () => {
+      const code =
+        name === 'vue'
+          ? '<template><p>Hello {{ $t("hello") + name }}</p></template>'
+          : 'const a = <p>Hello</p>; t("hello") + name;';
+      // the node types differ by parser, the reports do not
+      const summarize = messages =>
+        messages.map(item => [item.ruleId, item.message, item.column]);
+      const messages = lintFlat(plugin.configs[`flat/${name}`], code);
+      assert.notStrictEqual(messages.length, 0);
+      assert.deepStrictEqual(
+        summarize(messages),
+        summarize(lint(plugin.configs[name], code))
+      );
+    });
+  });
+
+  it('resolves variables as ESLint 9 does', () => {
+    const config = plugin.configs['flat/react'];
+    const messages = lintFlat(
+      Object.assign({}, config, {
+        rules: {
+          'i18next/no-literal-string': [
+            2,
+            { translators: { resolution: 'scope' } }
+          ]
+        }
+      }),
+      'import { withTranslation } from "react-i18next";\n' +
+        'const App = ({ t }) => <p>{t("Hello")}</p>;\n' +
+        'const Other = ({ t }) => <p>{t("World")}</p>;\n' +
+        'export default withTranslation()(App);'
+    );
+    assert.deepStrictEqual(
+      messages.map(item => item.line),
+      [3]
+    );
+  });
+
+  it('follows translations into HTML as ESLint 9 does', () => {
+    const config = plugin.configs['flat/react'];
+    const messages = lintFlat(
+      Object.assign({}, config, {
+        rules: { 'i18next/no-unsafe-translation-html': [2] }
+      }),
+      'const App = ({ t }) => { const html = t("Hello"); el.innerHTML = html; };'
+    );
+    assert.deepStrictEqual(
+      messages.map(item => item.messageId),
+      ['htmlSink']
+    );
+  });
+
+  it('reports text but not design system props with react', () => {
+    const messages = lint(
+      plugin.configs.react,
+      '<Button variant="primary" to="home">Save</Button>; console.log("Saving")'
+    );
+    assert.deepStrictEqual(
+      messages.map(item => item.messageId),
+      ['jsxText']
+    );
+  });
+
+  it('only checks text props of components with react-native', () => {
+    const messages = lint(
+      plugin.configs['react-native'],
+      '<View testID="main"><TextInput placeholder="Name" keyboardType="email-address" /></View>'
+    );
+    assert.deepStrictEqual(
+      messages.map(item => item.messageId),
+      ['jsxAttribute']
+    );
+  });
+
+  it('only trusts translators bound by i18next with strict', () => {
+    const messages = lint(
+      plugin.configs.strict,
+      'import { t } from "i18next";\nconst tr = s => s;\nt("Hello"); tr("World");'
+    );
+    assert.deepStrictEqual(
+      messages.map(item => [item.ruleId, item.line, item.column]),
+      [['i18next/no-literal-string', 3, 16]]
+    );
+  });
+
+  it('ignores component options with vue', () => {
+    const messages = lint(
+      plugin.configs.vue,
+      '<template><p>{{ $t("a") }}</p></template><script>export default { name: "Profile", emits: ["save"] }</script>'
+    );
+    assert.deepStrictEqual(messages, []);
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * @fileoverview translation coverage of the literals no-literal-string reports
+ * @author edvardchen
+ */
+'use strict';
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var coverage = require('../../lib/coverage'),
+  formatter = require('../../coverage'),
+  writeCoverage = require('../../lib/write-coverage').writeCoverage,
+  plugin = require('../../lib'),
+  removeDir = require('../tmp-dir').removeDir,
+  assert = require('assert'),
+  childProcess = require('child_process'),
+  CLIEngine = require('eslint').CLIEngine,
+  fs = require('fs'),
+  os = require('os'),
+  path = require('path');
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const literal = { ruleId: 'i18next/no-literal-string', messageId: 'jsxText' };
+const results = [
+  { filePath: '/repo/src/a/App.jsx', messages: [literal, literal] },
+  {
+    filePath: '/repo/src/b/Nav.jsx',
+    messages: [
+      literal,
+      { ruleId: 'i18next/no-literal-string', messageId: 'allowed' },
+      { ruleId: 'no-unused-vars' }
+    ]
+  },
+  { filePath: '/repo/src/b/Icon.jsx', messages: [] },
+  // the rule is off for it
+  { filePath: '/repo/scripts/build.js', messages: [] }
+];
+const stats = new Map([
+  ['/repo/src/a/App.jsx', { literals: 4, translations: 2 }],
+  ['/repo/src/b/Nav.jsx', { literals: 2, translations: 3 }],
+  ['/repo/src/b/Icon.jsx', { literals: 1, translations: 0 }]
+]);
+
+describe('coverage', function() {
+  this.timeout(10000);
+
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18next-coverage-'));
+  });
+
+  afterEach(() => removeDir(dir));
+
+  it('aggregates by file and directory', () => {
+    const report = coverage.createReport(results, stats, '/repo');
+    assert.deepStrictEqual(report.total, {
+      files: 3,
+      literals: 7,
+      translations: 5,
+      untranslated: 3,
+      coverage: 62.5
+    });
+    assert.deepStrictEqual(Object.keys(report.directories), [
+      '.',
+      'src',
+      'src/a',
+      'src/b'
+    ]);
+    assert.deepStrictEqual(report.directories['src/b'], {
+      files: 2,
+      literals: 3,
+      translations: 3,
+      untranslated: 1,
+      coverage: 75
+    });
+    assert.deepStrictEqual(report.files['src/b/Icon.jsx'], {
+      literals: 1,
+      translations: 0,
+      untranslated: 0,
+      coverage: 100
+    });
+    assert.strictEqual(report.files['scripts/build.js'], undefined);
+  });
+
+  it('writes markdown and html summaries', () => {
+    const report = coverage.createReport(results, stats, '/repo');
+    const markdown = coverage.toMarkdown(report);
+    assert.ok(
+      markdown.includes(
+        '62.5% of 8 texts are translated, 3 literals in 3 files are not.'
+      )
+    );
+    assert.ok(markdown.includes('| src/a | 50% | 2 | 2 | 4 |'));
+
+    const html = coverage.toHTML(
+      coverage.createReport(
+        [{ filePath: '/repo/<a>.js', messages: [literal] }],
+        new Map(),
+        '/repo'
+      )
+    );
+    assert.ok(html.startsWith('<!DOCTYPE html>'));
+    assert.ok(html.includes('<td>&lt;a&gt;.js</td>'));
+  });
+
+  it('fails on results no-literal-string did not record, like the ones of --cache', () => {
+    assert.throws(
+      () => formatter([{ filePath: '/repo/cached.jsx', messages: [literal] }]),
+      /^Error: No coverage was recorded for \/repo\/cached.jsx, run ESLint without --cache$/
+    );
+  });
+
+  it('fails when coverage drops by more than the threshold', () => {
+    const report = { total: { coverage: 70 } };
+    const previous = { total: { coverage: 75 } };
+    assert.strictEqual(coverage.checkThreshold(report, previous, 5), null);
+    assert.strictEqual(
+      coverage.checkThreshold(report, previous, 1),
+      'Translation coverage dropped from 75% to 70%, by more than 1 percentage points'
+    );
+  });
+
+  it('formats what no-literal-string saw in a lint run', () => {
+    const app = path.resolve(__dirname, '../fixtures/extract/App.jsx');
+    const cli = new CLIEngine({
+      useEslintrc: false,
+      parser: 'babel-eslint',
+      parserOptions: {
+        sourceType: 'module',
+        ecmaFeatures: { jsx: true }
+      },
+      plugins: ['i18next'],
+      rules: { 'i18next/no-literal-string': 'error' }
+    });
+    cli.addPlugin('i18next', plugin);
+    const { results: lintResults } = cli.executeOnFiles([app]);
+
+    const summary = path.join(dir, 'coverage.md');
+    process.env.I18NEXT_COVERAGE_SUMMARY = summary;
+    let output;
+    try {
+      output = JSON.parse(formatter(lintResults));
+    } finally {
+      delete process.env.I18NEXT_COVERAGE_SUMMARY;
+    }
+
+    const relative = path
+      .relative(process.cwd(), app)
+      .split(path.sep)
+      .join('/');
+    assert.deepStrictEqual(output.files[relative], {
+      literals: 7,
+      translations: 0,
+      untranslated: 5,
+      coverage: 0
+    });
+    assert.ok(fs.readFileSync(summary, 'utf8').includes(relative));
+    // the next run starts over
+    assert.throws(() => formatter(lintResults), /without --cache/);
+  });
+
+  it('writes the coverage of files and compares it with a previous report', () => {
+    const output = path.join(dir, 'coverage.json');
+    const options = {
+      output,
+      previous: output,
+      eslintOptions: {
+        useEslintrc: false,
+        parser: 'babel-eslint',
+        parserOptions: {
+          sourceType: 'module',
+          ecmaFeatures: { jsx: true }
+        }
+      }
+    };
+    const app = path.resolve(__dirname, '../fixtures/extract/App.jsx');
+
+    const first = writeCoverage([app], options);
+    assert.strictEqual(first.report.total.untranslated, 5);
+    assert.strictEqual(first.failure, null);
+    assert.deepStrictEqual(
+      JSON.parse(fs.readFileSync(output, 'utf8')),
+      first.report
+    );
+
+    fs.writeFileSync(output, JSON.stringify({ total: { coverage: 50 } }));
+    assert.strictEqual(
+      writeCoverage([app], Object.assign({}, options, { threshold: 10 }))
+        .failure,
+      'Translation coverage dropped from 50% to 0%, by more than 10 percentage points'
+    );
+  });
+
+  it('creates the directories of the report and the summary', () => {
+    const output = path.join(dir, 'reports/coverage.json');
+    const summary = path.join(dir, 'summaries/coverage.md');
+    const app = path.resolve(__dirname, '../fixtures/extract/App.jsx');
+
+    writeCoverage([app], {
+      output,
+      summary,
+      eslintOptions: { useEslintrc: false, parser: 'babel-eslint' }
+    });
+
+    assert.ok(fs.existsSync(output));
+    assert.ok(fs.existsSync(summary));
+  });
+});
+
+describe('coverage command line', function() {
+  this.timeout(30000);
+
+  const root = path.resolve(__dirname, '../..');
+  let dir;
+  let env;
+  beforeEach(() => {
+    // a project with the plugin installed
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18next-coverage-'));
+    fs.mkdirSync(path.join(dir, 'node_modules'));
+    fs.symlinkSync(root, path.join(dir, 'node_modules/eslint-plugin-i18next'));
+    fs.copyFileSync(
+      path.resolve(__dirname, '../fixtures/extract/App.jsx'),
+      path.join(dir, 'App.jsx')
+    );
+    fs.writeFileSync(
+      path.join(dir, '.eslintrc.json'),
+      JSON.stringify({
+        root: true,
+        parser: 'babel-eslint',
+        parserOptions: { sourceType: 'module', ecmaFeatures: { jsx: true } },
+        plugins: ['i18next'],
+        rules: { 'i18next/no-literal-string': 'error' }
+      })
+    );
+    // ESLint 5 loads plugins and parsers next to itself
+    env = Object.assign({}, process.env, {
+      NODE_PATH: [
+        path.join(dir, 'node_modules'),
+        path.join(root, 'node_modules')
+      ].join(path.delimiter)
+    });
+  });
+
+  // the symlink to the plugin is removed, not followed
+  afterEach(() => removeDir(dir));
+
+  const run = (script, args) =>
+    childProcess.spawnSync(process.execPath, [script].concat(args), {
+      cwd: dir,
+      env,
+      encoding: 'utf8',
+      timeout: 20000
+    });
+
+  it('formats a run of eslint', () => {
+    const { stdout } = run(require.resolve('eslint/bin/eslint'), [
+      '-f',
+      'node_modules/eslint-plugin-i18next/coverage.js',
+      'App.jsx'
+    ]);
+    assert.strictEqual(JSON.parse(stdout).files['App.jsx'].untranslated, 5);
+  });
+
+  it('exits with 1 when coverage dropped', () => {
+    const bin = path.join(root, 'bin/eslint-plugin-i18next.js');
+    const args = ['coverage', 'App.jsx', '--previous', 'coverage.json'];
+
+    const first = run(bin, args);
+    assert.strictEqual(first.status, 0, first.stderr);
+    assert.strictEqual(
+      first.stdout,
+      'Translation coverage of 1 files is 0%, written to coverage.json\n'
+    );
+
+    fs.writeFileSync(
+      path.join(dir, 'coverage.json'),
+      JSON.stringify({ total: { coverage: 50 } })
+    );
+    const second = run(bin, args.concat('--threshold', '10'));
+    assert.strictEqual(second.status, 1);
+    assert.strictEqual(
+      second.stderr,
+      'Translation coverage dropped from 50% to 0%, by more than 10 percentage points\n'
+    );
+  });
+});
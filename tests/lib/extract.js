@@ -0,0 +1,161 @@
+/**
+ * @fileoverview extract untranslated literals into an i18next catalog
+ * @author edvardchen
+ */
+'use strict';
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var extract = require('../../lib/extract').extract,
+  mkdirp = require('../../lib/helper').mkdirp,
+  removeDir = require('../tmp-dir').removeDir,
+  assert = require('assert'),
+  fs = require('fs'),
+  os = require('os'),
+  path = require('path');
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const fixtures = path.resolve(__dirname, '../fixtures/extract');
+const eslintOptions = {
+  useEslintrc: false,
+  parser: 'babel-eslint',
+  parserOptions: {
+    sourceType: 'module',
+    ecmaFeatures: {
+      jsx: true
+    }
+  }
+};
+
+describe('extract', function() {
+  this.timeout(10000);
+
+  let dir;
+  let output;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18next-extract-'));
+    output = path.join(dir, 'locales/en/translation.json');
+  });
+
+  afterEach(() => removeDir(dir));
+
+  const read = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  it('writes reported literals into a catalog with their sources', () => {
+    const summary = extract([fixtures], {
+      output,
+      keyRoot: fixtures,
+      eslintOptions
+    });
+
+    assert.deepStrictEqual(read(output), {
+      App: {
+        hello_name: 'Hello {{name}}',
+        welcome_back: 'Welcome back',
+        close: 'Close'
+      }
+    });
+    assert.deepStrictEqual(
+      read(path.join(dir, 'locales/en/translation.sources.json')),
+      {
+        'App.hello_name': [{ file: 'App.jsx', line: 4, column: 17 }],
+        'App.welcome_back': [{ file: 'App.jsx', line: 6, column: 40 }],
+        'App.close': [
+          { file: 'App.jsx', line: 8, column: 26 },
+          { file: 'App.jsx', line: 8, column: 34 }
+        ]
+      }
+    );
+    assert.strictEqual(summary.literals, 5);
+    assert.strictEqual(summary.added, 3);
+    assert.strictEqual(summary.existing, 1);
+    assert.strictEqual(summary.skipped.length, 1);
+  });
+
+  it('keeps translations already in the catalog', () => {
+    mkdirp(path.dirname(output));
+    fs.writeFileSync(
+      output,
+      JSON.stringify({ 'Welcome back': 'Willkommen zurück', other: 'Other' })
+    );
+
+    const summary = extract([fixtures], {
+      output,
+      keyStrategy: 'literal',
+      keySeparator: false,
+      eslintOptions
+    });
+
+    assert.deepStrictEqual(read(output), {
+      'Welcome back': 'Willkommen zurück',
+      other: 'Other',
+      'Hello {{name}}': 'Hello {{name}}',
+      Close: 'Close'
+    });
+    assert.strictEqual(summary.added, 2);
+  });
+
+  it('keeps the periods of sentences with the literal key strategy', () => {
+    const file = path.join(dir, 'Notice.jsx');
+    fs.writeFileSync(file, 'const a = <p>Saved. Try again.</p>;\n');
+
+    extract([file], { output, keyStrategy: 'literal', eslintOptions });
+
+    assert.deepStrictEqual(read(output), {
+      'Saved. Try again.': 'Saved. Try again.'
+    });
+  });
+
+  it('reports keys clashing with the catalog structure', () => {
+    mkdirp(path.dirname(output));
+    fs.writeFileSync(output, JSON.stringify({ App: 'App' }));
+
+    const summary = extract([fixtures], {
+      output,
+      keyRoot: fixtures,
+      eslintOptions
+    });
+
+    assert.deepStrictEqual(read(output), { App: 'App' });
+    assert.strictEqual(summary.conflicts.length, 4);
+  });
+
+  it('reports keys below null or arrays as clashes', () => {
+    mkdirp(path.dirname(output));
+    fs.writeFileSync(output, JSON.stringify({ App: null }));
+
+    const summary = extract([fixtures], {
+      output,
+      keyRoot: fixtures,
+      eslintOptions
+    });
+
+    assert.deepStrictEqual(read(output), { App: null });
+    assert.strictEqual(summary.conflicts.length, 4);
+
+    fs.writeFileSync(output, JSON.stringify({ App: ['Hello'] }));
+    assert.strictEqual(
+      extract([fixtures], { output, keyRoot: fixtures, eslintOptions })
+        .conflicts.length,
+      4
+    );
+  });
+
+  it('fails on files which do not parse, without writing the catalog', () => {
+    const broken = path.join(dir, 'Broken.jsx');
+    fs.writeFileSync(broken, 'const App = () => <div>Hello</p>;\n');
+
+    assert.throws(
+      () => extract([fixtures, broken], { output, eslintOptions }),
+      error =>
+        error.message.startsWith('Failed to parse files:') &&
+        error.message.includes(`${broken}:1:`)
+    );
+    assert.strictEqual(fs.existsSync(output), false);
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * @fileoverview enforce a naming convention for translation keys
+ * @author edvardchen
+ */
+'use strict';
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var rule = require('../../../lib/rules/key-naming-convention'),
+  RuleTester = require('eslint').RuleTester,
+  path = require('path');
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const billing = path.join(process.cwd(), 'src', 'billing', 'Invoice.jsx');
+const prefixes = { 'src/billing/**': 'billing', 'src/*/Admin.jsx': 'admin' };
+
+var ruleTester = new RuleTester({
+  parser: 'babel-eslint',
+  parserOptions: {
+    sourceType: 'module'
+  }
+});
+ruleTester.run('key-naming-convention', rule, {
+  valid: [
+    { code: 't("Any key goes")' },
+    { code: 't("checkout.submitOrder")', options: [{ case: 'camelCase' }] },
+    { code: 't("common:saveButton")', options: [{ case: 'camelCase' }] },
+    { code: 't("checkout.submit_order")', options: [{ case: 'snake_case' }] },
+    { code: 't("checkout.submit-order")', options: [{ case: 'kebab-case' }] },
+    { code: 't("Checkout.SubmitOrder")', options: [{ case: 'PascalCase' }] },
+    {
+      code: 't("CHECKOUT.SUBMIT_ORDER")',
+      options: [{ case: 'SCREAMING_SNAKE_CASE' }]
+    },
+    {
+      code: 't("checkout/submitOrder")',
+      options: [{ case: 'camelCase', keySeparator: '/' }]
+    },
+    { code: 't("a.b")', options: [{ minDepth: 2, maxDepth: 3 }] },
+    { code: 't("a.b.c")', options: [{ minDepth: 2, maxDepth: 3 }] },
+    {
+      code: 't("Submit order. Now!")',
+      options: [{ maxDepth: 1, keySeparator: false }]
+    },
+    { code: 't("checkout.submit")', options: [{ forbiddenCharacters: ' /' }] },
+    { code: 't("checkout.submit")', options: [{ maxLength: 15 }] },
+    { code: 't(`status.${s}`)', options: [{ case: 'camelCase' }] },
+    { code: 'format("Not a key")', options: [{ case: 'camelCase' }] },
+    {
+      code: 't("billing.invoice.total")',
+      options: [{ prefixes }],
+      filename: billing
+    },
+    {
+      code: 't("checkout.submit")',
+      options: [{ prefixes }],
+      filename: path.join(process.cwd(), 'src', 'Checkout.jsx')
+    },
+    {
+      code: 't("admin.title")',
+      options: [{ prefixes }],
+      filename: path.join(process.cwd(), 'src', 'pages', 'Admin.jsx')
+    }
+  ],
+  invalid: [
+    {
+      code: 't("checkout.submit_order")',
+      options: [{ case: 'camelCase' }],
+      errors: [
+        {
+          message:
+            "Segment 'submit_order' of translation key 'checkout.submit_order' is not camelCase"
+        }
+      ]
+    },
+    {
+      code: '<Trans i18nKey="Checkout.submit" />',
+      options: [{ case: 'camelCase' }],
+      errors: [{ message: /^Segment 'Checkout'/, type: 'Literal' }]
+    },
+    {
+      code: '<Trans i18nKey={"checkout.Submit"} />',
+      options: [{ case: 'camelCase' }],
+      errors: [{ message: /^Segment 'Submit'/, type: 'Literal' }]
+    },
+    {
+      code: 't(["checkout.ok", "checkout.not_ok"])',
+      options: [{ case: 'camelCase' }],
+      errors: [{ message: /^Segment 'not_ok'/, column: 19 }]
+    },
+    {
+      code: 't("Submit order")',
+      options: [{ minDepth: 2 }],
+      errors: [
+        {
+          message:
+            "Translation key 'Submit order' has 1 segments, expected at least 2"
+        }
+      ]
+    },
+    {
+      code: 't("a.b.c.d")',
+      options: [{ maxDepth: 3 }],
+      errors: [
+        {
+          message:
+            "Translation key 'a.b.c.d' has 4 segments, expected at most 3"
+        }
+      ]
+    },
+    {
+      code: 't("checkout.submit order")',
+      options: [{ forbiddenCharacters: ' /' }],
+      errors: [
+        {
+          message:
+            "Translation key 'checkout.submit order' contains the forbidden character ' '"
+        }
+      ]
+    },
+    {
+      code: 't("checkout.submitTheOrderNow")',
+      options: [{ maxLength: 15 }],
+      errors: [
+        {
+          message:
+            "Translation key 'checkout.submitTheOrderNow' is longer than 15 characters"
+        }
+      ]
+    },
+    {
+      code: 't("invoice.total")',
+      options: [{ prefixes }],
+      filename: billing,
+      errors: [
+        {
+          message:
+            "Translation key 'invoice.total' has to start with 'billing.' in files matching src/billing/**"
+        }
+      ]
+    },
+    {
+      code: 't("billingTotal")',
+      options: [{ prefixes }],
+      filename: billing,
+      errors: 1
+    },
+    {
+      code: 't("Submit order now")',
+      options: [{ case: 'camelCase', minDepth: 2, forbiddenCharacters: ' ' }],
+      errors: 3
+    },
+    {
+      code: 'tr("Submit")',
+      options: [{ case: 'camelCase', translators: { functions: ['tr'] } }],
+      errors: 1
+    }
+  ]
+});
+
+//
+// ─── VUE ────────────────────────────────────────────────────────────────────────
+//
+
+const vueTester = new RuleTester({
+  parser: 'vue-eslint-parser',
+  parserOptions: {
+    sourceType: 'module'
+  }
+});
+
+vueTester.run('key-naming-convention', rule, {
+  valid: [
+    {
+      code: '<template><p>{{ $t("checkout.submit") }}</p></template>',
+      options: [{ case: 'camelCase' }]
+    }
+  ],
+  invalid: [
+    {
+      code: '<template><p>{{ $t("checkout.submit_order") }}</p></template>',
+      options: [{ case: 'camelCase' }],
+      errors: 1
+    },
+    {
+      code: '<template><p v-t="\'checkout.submit_order\'"></p></template>',
+      options: [{ case: 'camelCase' }],
+      errors: 1
+    },
+    {
+      code: '<template><i18n-t keypath="checkout.submit_order" /></template>',
+      options: [{ case: 'camelCase' }],
+      errors: 1
+    }
+  ]
+});
+// ────────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview disallow concatenating translations with other strings
+ * @author edvardchen
+ */
+'use strict';
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var rule = require('../../../lib/rules/no-concatenated-translation'),
+  RuleTester = require('eslint').RuleTester,
+  getSuggestions = require('../../suggestions').getSuggestions,
+  assert = require('assert');
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const errors = [
+  {
+    message:
+      'Do not concatenate translations with other strings, interpolate them into a single translation instead'
+  }
+];
+
+var ruleTester = new RuleTester({
+  parser: 'babel-eslint',
+  parserOptions: {
+    sourceType: 'module'
+  }
+});
+ruleTester.run('no-concatenated-translation', rule, {
+  valid: [
+    { code: 't("hello", { name })' },
+    { code: '"Hello, " + name + "!"' },
+    { code: '`Hello, ${name}!`' },
+    { code: '`${t("hello")}`' },
+    { code: 't("hello") + " "' },
+    { code: 'count + 1' },
+    { code: 'css`color: ${t("color")}`' },
+    { code: 't("status." + code)' },
+    { code: 'format(t("hello")) + name' },
+    {
+      code: 'tr("hello") + name',
+      options: [{ translators: { functions: ['t'] } }]
+    }
+  ],
+  invalid: [
+    // merging looks up another key, so it is only suggested
+    { code: 't("Hello") + ", " + name + "!"', output: null, errors },
+    {
+      code: 'const a = `${t("hello")} ${name}`; const b = t("bye") + name;',
+      errors: 2
+    },
+    {
+      code: 'tr("hello") + name',
+      options: [{ translators: { functions: ['tr'] } }],
+      errors
+    }
+  ]
+});
+
+//
+// ─── VUE ────────────────────────────────────────────────────────────────────────
+//
+
+const vueTester = new RuleTester({
+  parser: 'vue-eslint-parser',
+  parserOptions: {
+    sourceType: 'module'
+  }
+});
+
+vueTester.run('no-concatenated-translation', rule, {
+  valid: [{ code: '<template><p>{{ $t("hello", { name }) }}</p></template>' }],
+  invalid: [
+    {
+      code: '<template><p>{{ $t("Hello") + ", " + name }}</p></template>',
+      output: null,
+      errors
+    }
+  ]
+});
+// ────────────────────────────────────────────────────────────────────────────────
+
+describe('suggestions', () => {
+  const merged = code =>
+    getSuggestions(rule, code, []).map(suggestion => suggestion.output);
+
+  it('offers to merge into a single translation', () => {
+    assert.deepStrictEqual(merged('t("Hello") + ", " + name + "!"'), [
+      "t('Hello, {{name}}!', { name })"
+    ]);
+    assert.deepStrictEqual(merged('t("You have ") + count + t(" items")'), [
+      "t('You have {{count}} items', { count })"
+    ]);
+    assert.deepStrictEqual(merged('`${t("Hello")}, ${user.name}!`'), [
+      "t('Hello, {{name}}!', { name: user.name })"
+    ]);
+    assert.deepStrictEqual(merged('i18next.t("Hello") + " " + name'), [
+      "i18next.t('Hello {{name}}', { name })"
+    ]);
+    assert.deepStrictEqual(merged('t("Total") + ": " + `${amount} EUR`'), [
+      "t('Total: {{amount}} EUR', { amount })"
+    ]);
+    assert.deepStrictEqual(merged('t("Hello") + t("World")'), [
+      "t('HelloWorld')"
+    ]);
+  });
+
+  it('describes the merged call', () => {
+    assert.deepStrictEqual(
+      getSuggestions(rule, 't("Hello") + name', []).map(
+        suggestion => suggestion.desc
+      ),
+      ["Merge into t('Hello{{name}}', { name })"]
+    );
+  });
+
+  it('offers nothing when the values can not be merged', () => {
+    [
+      't("hello", { x }) + name',
+      't("hello") + getName()',
+      't("hello") + a.name + b.name',
+      't("hello") + i18next.t("world")',
+      't(key) + "!"'
+    ].forEach(code => assert.deepStrictEqual(merged(code), [], code));
+  });
+
+  it('offers nothing in vue templates, where {{name}} ends the mustache', () => {
+    assert.deepStrictEqual(
+      getSuggestions(
+        rule,
+        '<template><p>{{ $t("Hello") + ", " + name }}</p></template>',
+        [],
+        'vue-eslint-parser'
+      ),
+      []
+    );
+  });
+});
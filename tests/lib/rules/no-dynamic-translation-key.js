@@ -0,0 +1,171 @@
+/**
+ * @fileoverview disallow translation keys computed at runtime
+ * @author edvardchen
+ */
+'use strict';
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var rule = require('../../../lib/rules/no-dynamic-translation-key'),
+  RuleTester = require('eslint').RuleTester,
+  path = require('path');
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const dynamic = code => ({
+  message: `Translation key ${code} is computed at runtime, declare the keys it can take`
+});
+const mismatch = (key, shape) => ({
+  message: `Annotated key '${key}' does not match ${shape}`
+});
+
+var ruleTester = new RuleTester({
+  parser: 'babel-eslint',
+  parserOptions: {
+    sourceType: 'module'
+  }
+});
+ruleTester.run('no-dynamic-translation-key', rule, {
+  valid: [
+    { code: 't("status.active")' },
+    { code: 't(`status.active`)' },
+    { code: 't(["status.unknown", "status.active"])' },
+    { code: 't()' },
+    { code: 'format(key)' },
+    { code: 'i18next.t("key", { name })' },
+    { code: '<Trans i18nKey="welcome" />' },
+    { code: '<Trans i18nKey={"welcome"} />' },
+    { code: '<Button label={key} />' },
+    {
+      code: 't(`status.${s}`)',
+      options: [{ allowedKeys: ['status.*'] }]
+    },
+    {
+      code: 't("errors." + code)',
+      options: [{ allowedKeys: ['/^errors\\./'] }]
+    },
+    {
+      code: 't(key)',
+      options: [{ allowedKeys: ['**'] }]
+    },
+    {
+      code: '// i18next-keys: status.active, status.inactive\nt(`status.${s}`)'
+    },
+    {
+      code: 't(`status.${s}`); // i18next-keys: status.active, status.inactive'
+    },
+    {
+      code:
+        'const label = t(\n  /* i18next-keys: errors.not_found, errors.forbidden */\n  "errors." + code\n);'
+    },
+    {
+      code: 'tr(key)',
+      options: [{ translators: { functions: ['t'] } }]
+    }
+  ],
+  invalid: [
+    { code: 't(key)', errors: [dynamic('key')] },
+    { code: 't("errors." + code)', errors: [dynamic('"errors." + code')] },
+    { code: 't(`status.${s}`)', errors: [dynamic('`status.${s}`')] },
+    { code: 'i18next.t(getKey())', errors: [dynamic('getKey()')] },
+    { code: 't(...args)', errors: [dynamic('...args')] },
+    { code: 't([key, "fallback"])', errors: [dynamic('key')] },
+    { code: '<Trans i18nKey={key} />', errors: [dynamic('key')] },
+    {
+      code: '<Trans i18nKey={`status.${s}`} />',
+      errors: [dynamic('`status.${s}`')]
+    },
+    {
+      code: 't(`status.${s}`)',
+      options: [{ allowedKeys: ['errors.*'] }],
+      errors: 1
+    },
+    {
+      code: 't(`status.${a}.${b}`)',
+      options: [{ allowedKeys: ['status.*'] }],
+      errors: 1
+    },
+    {
+      code: 'tr(key)',
+      options: [{ translators: { functions: ['tr'] } }],
+      errors: 1
+    },
+    {
+      code:
+        '// i18next-keys: status.active, errors.not_found\nt(`status.${s}`)',
+      errors: [mismatch('errors.not_found', 'status.*')]
+    },
+    {
+      code: '// i18next-keys: status.active\n\nt(`status.${s}`)',
+      errors: 1
+    }
+  ]
+});
+
+//
+// ─── TYPESCRIPT ─────────────────────────────────────────────────────────────────
+//
+
+const tsTester = new RuleTester({
+  parser: '@typescript-eslint/parser',
+  parserOptions: {
+    sourceType: 'module',
+    project: path.resolve(__dirname, 'tsconfig.json')
+  }
+});
+
+describe('typescript', function() {
+  // creating the program of the first file takes a while
+  this.timeout(10000);
+
+  tsTester.run('no-dynamic-translation-key', rule, {
+    valid: [
+      { code: "declare var s: 'active' | 'inactive'; t(`status.${s}`);" },
+      { code: "declare var code: 404 | 500; t('errors.' + code);" },
+      { code: "declare var key: 'a' | 'b'; t(key);" },
+      {
+        code:
+          "enum Status { Active = 'active', Inactive = 'inactive' } declare var s: Status; t(`status.${s}`);"
+      }
+    ],
+    invalid: [
+      { code: 'declare var s: string; t(`status.${s}`);', errors: 1 },
+      { code: "declare var s: 'active' | number; t(`status.${s}`);", errors: 1 }
+    ]
+  });
+});
+// ────────────────────────────────────────────────────────────────────────────────
+
+//
+// ─── VUE ────────────────────────────────────────────────────────────────────────
+//
+
+const vueTester = new RuleTester({
+  parser: 'vue-eslint-parser',
+  parserOptions: {
+    sourceType: 'module'
+  }
+});
+
+vueTester.run('no-dynamic-translation-key', rule, {
+  valid: [
+    { code: '<template><p>{{ $t("hello") }}</p></template>' },
+    { code: '<template><p v-t="\'hello\'"></p></template>' },
+    { code: '<template><i18n-t keypath="hello" /></template>' }
+  ],
+  invalid: [
+    {
+      code: '<template><p>{{ $t(`status.${s}`) }}</p></template>',
+      errors: [dynamic('`status.${s}`')]
+    },
+    {
+      code: '<template><p v-t="{ path: key }"></p></template>',
+      errors: [dynamic('key')]
+    }
+  ]
+});
+// ────────────────────────────────────────────────────────────────────────────────
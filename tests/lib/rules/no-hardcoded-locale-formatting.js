@@ -0,0 +1,251 @@
+/**
+ * @fileoverview disallow formatting values for a hardcoded locale
+ * @author edvardchen
+ */
+'use strict';
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var rule = require('../../../lib/rules/no-hardcoded-locale-formatting'),
+  RuleTester = require('eslint').RuleTester;
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const currentLocale = [{ currentLocale: ['i18n.language'] }];
+
+var ruleTester = new RuleTester({
+  parser: 'babel-eslint',
+  parserOptions: {
+    sourceType: 'module',
+    ecmaFeatures: { jsx: true }
+  }
+});
+ruleTester.run('no-hardcoded-locale-formatting', rule, {
+  valid: [
+    //
+    // ─── LOCALES ─────────────────────────────────────────────────────
+    //
+    { code: 'date.toLocaleDateString(i18n.language)' },
+    { code: 'new Intl.NumberFormat(locale, { style: "currency" })' },
+    { code: 'a.localeCompare(b, i18n.language)' },
+    // the default locale is only wrong with a current locale configured
+    { code: 'date.toLocaleString()' },
+    { code: 'new Intl.DateTimeFormat(undefined, { month: "long" })' },
+    { code: 'date.toLocaleString(i18n.language)', options: currentLocale },
+    { code: 'date.toLocaleString( i18n .language )', options: currentLocale },
+    {
+      code: 'Intl.DateTimeFormat([i18n.language, ...fallbacks])',
+      options: currentLocale
+    },
+    { code: 'date.toLocaleString(...args)', options: currentLocale },
+    { code: 'Intl.getCanonicalLocales("en-US")' },
+    { code: 'format.toLocaleString' },
+    { code: 'value.toString()', options: currentLocale },
+
+    //
+    // ─── CURRENCIES ──────────────────────────────────────────────────
+    //
+    { code: 'formatter.format(amount)' },
+    { code: '"$" + "5"' },
+    { code: '"Total: " + amount' },
+    { code: 'new RegExp("^" + prefix + "$")' },
+    { code: '"${" + name + "}"' },
+    { code: 'css`width: ${width}$`' },
+    { code: '<span>{formatPrice(price)}</span>' },
+    { code: '<span>$<br />{price}</span>' },
+
+    //
+    // ─── DATE PATTERNS ───────────────────────────────────────────────
+    //
+    { code: 'moment(date).format("L")' },
+    { code: 'format(date, "PP")' },
+    { code: 'moment(date).format("YYYY-MM-DD")' },
+    { code: 'DateTime.now().toFormat("yyyy-MM-dd HH:mm")' },
+    { code: 'moment(date).format("HH:mm")' },
+    { code: 'moment(value, "MM/DD/YYYY")' },
+    { code: 'util.format("%s items", count)' },
+    {
+      code: 'moment(date).format("MM/DD/YYYY")',
+      options: [{ ignorePatterns: ['^MM/DD/YYYY$'] }]
+    }
+  ],
+
+  invalid: [
+    //
+    // ─── LOCALES ─────────────────────────────────────────────────────
+    //
+    {
+      code: 'date.toLocaleDateString("en-US")',
+      errors: [
+        {
+          messageId: 'hardcodedLocale',
+          data: { locale: '"en-US"', expected: 'the current locale' }
+        }
+      ]
+    },
+    {
+      code:
+        'new Intl.NumberFormat("en-GB", { style: "currency", currency: "GBP" })',
+      options: currentLocale,
+      errors: [
+        {
+          message:
+            'Do not hardcode the locale "en-GB", pass i18n.language instead'
+        }
+      ]
+    },
+    {
+      code: 'Intl.DateTimeFormat(["de-DE", "en"]).format(date)',
+      errors: [
+        { messageId: 'hardcodedLocale', column: 22 },
+        { messageId: 'hardcodedLocale', column: 31 }
+      ]
+    },
+    {
+      code: 'a.localeCompare(b, `sv`)',
+      errors: [{ messageId: 'hardcodedLocale' }]
+    },
+    {
+      code: 'date.toLocaleString(); new Intl.Collator(undefined)',
+      options: [{ currentLocale: ['i18n.language', 'this.$i18n.locale'] }],
+      errors: [
+        {
+          message:
+            'toLocaleString() formats for the default locale of the runtime, pass i18n.language or this.$i18n.locale instead'
+        },
+        {
+          messageId: 'defaultLocale',
+          data: {
+            callee: 'Intl.Collator',
+            expected: 'i18n.language or this.$i18n.locale'
+          }
+        }
+      ]
+    },
+
+    {
+      code: 'date.toLocaleDateString(locale)',
+      options: currentLocale,
+      errors: [
+        {
+          message:
+            'Locale locale may not be the one of the user, pass i18n.language instead'
+        }
+      ]
+    },
+    {
+      code: 'new Intl.NumberFormat([i18n.language, fallback, "en"])',
+      options: currentLocale,
+      errors: [
+        {
+          messageId: 'unexpectedLocale',
+          data: { locale: 'fallback', expected: 'i18n.language' }
+        },
+        { messageId: 'hardcodedLocale' }
+      ]
+    },
+    {
+      code: 'a.localeCompare(b, i18n.language || "en")',
+      options: currentLocale,
+      errors: [{ messageId: 'unexpectedLocale' }]
+    },
+
+    //
+    // ─── CURRENCIES ──────────────────────────────────────────────────
+    //
+    {
+      code: '"$" + amount',
+      errors: [
+        {
+          message:
+            'Do not concatenate the currency symbol $ with an amount, format it with Intl.NumberFormat and style currency instead'
+        }
+      ]
+    },
+    {
+      code: 'const total = "Total: " + price.toFixed(2) + " €"',
+      errors: [{ messageId: 'currencySymbol', data: { symbol: '€' } }]
+    },
+    {
+      code: '`£${amount}`',
+      errors: [{ messageId: 'currencySymbol', data: { symbol: '£' } }]
+    },
+    {
+      code: '<span>${price}</span>',
+      errors: [{ messageId: 'currencySymbol', data: { symbol: '$' } }]
+    },
+    {
+      code: '<>{price} ¥</>',
+      errors: [{ messageId: 'currencySymbol', data: { symbol: '¥' } }]
+    },
+    {
+      code: '"₹" + amount',
+      errors: [{ messageId: 'currencySymbol', data: { symbol: '₹' } }]
+    },
+
+    //
+    // ─── DATE PATTERNS ───────────────────────────────────────────────
+    //
+    {
+      code: 'moment(date).format("MM/DD/YYYY")',
+      errors: [
+        {
+          message:
+            'Date pattern "MM/DD/YYYY" is bound to one locale, use a localized format instead'
+        }
+      ]
+    },
+    {
+      code: 'format(date, "dd.MM.yyyy HH:mm")',
+      errors: [{ messageId: 'datePattern' }]
+    },
+    {
+      code: 'dayjs(date).format(`D MMM, YYYY h:mm A`)',
+      errors: [{ messageId: 'datePattern' }]
+    },
+    {
+      code: 'formatDay(date, "DD/MM")',
+      options: [{ formatFunctions: ['formatDay'] }],
+      errors: [{ messageId: 'datePattern' }]
+    }
+  ]
+});
+
+//
+// ─── VUE ────────────────────────────────────────────────────────────────────────
+//
+
+const vueTester = new RuleTester({
+  parser: 'vue-eslint-parser',
+  parserOptions: {
+    sourceType: 'module'
+  }
+});
+
+vueTester.run('no-hardcoded-locale-formatting', rule, {
+  valid: [
+    {
+      code:
+        '<template><p>{{ date.toLocaleDateString($i18n.locale) }}</p></template>'
+    }
+  ],
+  invalid: [
+    {
+      code: '<template><p>{{ date.toLocaleDateString("fr") }}</p></template>',
+      errors: [{ messageId: 'hardcodedLocale' }]
+    },
+    {
+      code: '<template><p>${{ price }}</p></template>',
+      errors: [{ messageId: 'currencySymbol' }]
+    },
+    {
+      code: '<template><p>{{ "$" + price }}</p></template>',
+      errors: [{ messageId: 'currencySymbol' }]
+    }
+  ]
+});
+// ────────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,134 @@
+/**
+ * @fileoverview disallow plural and context translations not matching their catalog keys
+ * @author edvardchen
+ */
+'use strict';
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var rule = require('../../../lib/rules/no-invalid-plural-context'),
+  RuleTester = require('eslint').RuleTester,
+  path = require('path');
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const locales = path.resolve(__dirname, '../../fixtures/locales');
+const en = [path.join(locales, 'en/translation.json')];
+const de = [path.join(locales, 'de/translation.json')];
+const options = [{ locales: { en } }];
+const withDe = [{ locales: { en, de } }];
+
+// Node built with small-icu only knows the plural rules of English
+const missingPluralRules = ['de', 'ar'].filter(
+  locale => !Intl.PluralRules.supportedLocalesOf(locale).length
+);
+const hasPluralRules = test =>
+  Object.keys(test.options[0].locales).every(
+    locale => !missingPluralRules.includes(locale)
+  );
+
+var ruleTester = new RuleTester({
+  parser: 'babel-eslint',
+  parserOptions: {
+    sourceType: 'module'
+  }
+});
+ruleTester.run('no-invalid-plural-context', rule, {
+  valid: [
+    { code: 't("checkout.items", { count })', options },
+    { code: 't("checkout.items", "{{count}} items", { count: 2 })', options },
+    { code: 't("checkout.submit")', options },
+    { code: 't("points", { count })', options },
+    { code: 't("place", { count, ordinal: true })', options },
+    { code: 't("message", { count })', options },
+    { code: 't("friend", { context: "male" })', options },
+    {
+      code: 't("friend", { context: isMale ? "male" : "female" })',
+      options
+    },
+    { code: 't("friend", { context: gender })', options },
+    { code: 't("checkout.items", options)', options },
+    { code: 't("checkout.items", { ...options })', options },
+    { code: 't("unknown", { count })', options },
+    { code: 't(key)', options },
+    { code: 'foo("checkout.items")', options }
+  ],
+
+  invalid: [
+    {
+      code: 't("checkout.items")',
+      options,
+      errors: [
+        { message: "Plural translation 'checkout.items' is used without count" }
+      ]
+    },
+    {
+      code: 't("checkout.submit", { count })',
+      options,
+      errors: [
+        {
+          message:
+            "Count is passed to translation 'checkout.submit' without plurals"
+        }
+      ]
+    },
+    {
+      code: 't("checkout.items", { count })',
+      options: withDe,
+      errors: [
+        {
+          message:
+            "Translation 'checkout.items' lacks the plural forms checkout.items_other in locale de"
+        }
+      ]
+    },
+    {
+      code: 't("checkout.items", { count })',
+      options: [{ locales: { en, ar: en } }],
+      errors: [
+        {
+          message:
+            "Translation 'checkout.items' lacks the plural forms checkout.items_zero, checkout.items_two, checkout.items_few, checkout.items_many in locale ar"
+        }
+      ]
+    },
+    {
+      code: 't("place", { count })',
+      options,
+      errors: [
+        {
+          message:
+            "Translation 'place' lacks the plural forms place_one, place_other in locale en"
+        }
+      ]
+    },
+    {
+      code: 't("friend", { context: "female" })',
+      options: withDe,
+      errors: [
+        { message: "Translation 'friend' has no context 'female' in locale de" }
+      ]
+    },
+    {
+      code: 't("friend", { context: isParent ? "mother" : "male" })',
+      options,
+      errors: [
+        { message: "Translation 'friend' has no context 'mother' in locale en" }
+      ]
+    },
+    {
+      code: 't("save")',
+      options: [{ locales: { 'en-': en } }],
+      errors: [{ message: /^Invalid locale en-: / }]
+    },
+    {
+      code: 't("checkout.items", { count })',
+      options: [{ locales: { en, xx: en } }],
+      errors: [{ message: /^Invalid locale xx: No plural rules in this / }]
+    }
+  ].filter(hasPluralRules)
+});
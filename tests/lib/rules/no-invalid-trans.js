@@ -0,0 +1,150 @@
+/**
+ * @fileoverview disallow <Trans> elements react-i18next can not translate as intended
+ * @author edvardchen
+ */
+'use strict';
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var rule = require('../../../lib/rules/no-invalid-trans'),
+  RuleTester = require('eslint').RuleTester,
+  path = require('path');
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const locales = path.resolve(__dirname, '../../fixtures/locales');
+const options = [{ resources: [path.join(locales, 'en/translation.json')] }];
+
+var ruleTester = new RuleTester({
+  parser: 'babel-eslint',
+  parserOptions: {
+    sourceType: 'module',
+    ecmaFeatures: {
+      jsx: true
+    }
+  }
+});
+ruleTester.run('no-invalid-trans', rule, {
+  valid: [
+    { code: '<Trans i18nKey="unknown">Anything {{ name }}</Trans>' },
+    { code: '<Trans i18nKey="trans.plain" />', options },
+    { code: '<Trans i18nKey="trans.plain">Welcome back</Trans>', options },
+    {
+      code: '<Trans i18nKey="trans.plain">\n  Welcome\n  back\n</Trans>',
+      options
+    },
+    {
+      code:
+        '<Trans i18nKey="trans.greeting" count={count}>Hello <b>{{ name }}</b>, you have {{ count }} messages.</Trans>',
+      options
+    },
+    {
+      code:
+        '<Trans i18nKey="trans.greeting" count={count} values={{ name }} components={{ 1: <b /> }} />',
+      options
+    },
+    {
+      code:
+        '<Trans i18nKey="trans.terms" components={{ 1: <Link to="/terms" /> }} />',
+      options
+    },
+    {
+      code:
+        '<Trans i18nKey="trans.terms">Accept the <Link to="/terms">terms</Link> and <strong>rules</strong>.</Trans>',
+      options
+    },
+    {
+      code:
+        '<Trans i18nKey="trans.greeting" values={values} components={components} />',
+      options
+    },
+    { code: '<Trans i18nKey={key}>{"Hello"} {/* comment */}</Trans>' },
+    { code: '<Trans {...props} />' },
+    {
+      code: '<Trans>Hello world</Trans>',
+      options: [{ keyPolicy: 'children' }]
+    },
+    { code: '<Other>{items.map(item => item)}</Other>' },
+    { code: '<Translation>{t => t("key")}</Translation>' },
+    { code: '<Trans i18nKey="unknown" />', options },
+    { code: '<MyTrans>Hello</MyTrans>' }
+  ],
+  invalid: [
+    { code: '<Trans>Hello world</Trans>', errors: ['<Trans> has no i18nKey'] },
+    {
+      code: '<Trans />',
+      options: [{ keyPolicy: 'children' }],
+      errors: ['<Trans> has no i18nKey']
+    },
+    {
+      code: '<Trans i18nKey="key">Hello {user.name}</Trans>',
+      errors: [
+        {
+          message:
+            'Child {user.name} of <Trans> can not be serialized, pass strings, elements or values like {{ name }}',
+          type: 'JSXExpressionContainer'
+        }
+      ]
+    },
+    {
+      code:
+        '<Trans i18nKey="key"><ul>{items.map(item => <li>{item}</li>)}</ul>{ok ? "a" : "b"}</Trans>',
+      errors: 2
+    },
+    {
+      code: '<Trans i18nKey="trans.greeting" values={{ name }} />',
+      options,
+      errors: [
+        "Component <1> of translation 'trans.greeting' is not passed to <Trans>",
+        "Value 'count' of translation 'trans.greeting' is not passed to <Trans>"
+      ]
+    },
+    {
+      code:
+        '<Trans i18nKey="trans.terms" components={{ 0: <a />, 1: <b /> }} values={{ name }} />',
+      options,
+      errors: [
+        "Component 0 passed to <Trans> is not used by translation 'trans.terms'",
+        "Value 'name' passed to <Trans> is not used by translation 'trans.terms'"
+      ]
+    },
+    {
+      code:
+        '<Trans i18nKey="trans.terms" components={[<Link to="/terms" />]} />',
+      options,
+      errors: [
+        "Component <1> of translation 'trans.terms' is not passed to <Trans>",
+        "Component 0 passed to <Trans> is not used by translation 'trans.terms'"
+      ]
+    },
+    {
+      code: '<Trans i18nKey="trans.plain">Welcome home</Trans>',
+      options,
+      errors: [
+        "Children 'Welcome home' of <Trans> differ from translation 'trans.plain': 'Welcome back'"
+      ]
+    },
+    {
+      code:
+        '<Trans i18nKey="trans.greeting" count={count}>Hello {{ name }}, you have {{ count }} messages.</Trans>',
+      options,
+      errors: [
+        "Component <1> of translation 'trans.greeting' is not passed to <Trans>",
+        "Children 'Hello {{name}}, you have {{count}} messages.' of <Trans> differ from translation 'trans.greeting': 'Hello <1>{{name}}</1>, you have {{count}} messages.'"
+      ]
+    },
+    {
+      code: '<I18n.Trans>Hello</I18n.Trans>',
+      errors: ['<Trans> has no i18nKey']
+    },
+    {
+      code: '<Msg>Hello</Msg>',
+      options: [{ translators: { components: ['Msg'] } }],
+      errors: ['<Trans> has no i18nKey']
+    }
+  ]
+});
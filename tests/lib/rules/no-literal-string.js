@@ -10,13 +10,14 @@
 
 var rule = require('../../../lib/rules/no-literal-string'),
   RuleTester = require('eslint').RuleTester,
+  getSuggestions = require('../../suggestions').getSuggestions,
+  assert = require('assert'),
   path = require('path');
 
 //------------------------------------------------------------------------------
 // Tests
 //------------------------------------------------------------------------------
-const message = 'disallow literal string';
-const errors = [{ message }]; // default errors
+const errors = [{ messageId: 'other' }]; // default errors
 
 var ruleTester = new RuleTester({
   parser: 'babel-eslint',
@@ -95,24 +96,802 @@ ruleTester.run('no-literal-string', rule, {
 
   invalid: [
     { code: 'a + "b"', errors },
+    // siblings after a translation or an ignored callee are checked
+    {
+      code: 'foo(i18next.t("key"), a.indexOf("abc"), "Hello");',
+      errors: [
+        {
+          messageId: 'argument',
+          data: { string: '"Hello"', callee: 'foo', explanation: '' }
+        }
+      ]
+    },
+    {
+      code: '<div className="active">Hello<span title="Bye" /></div>',
+      errors: [{ messageId: 'jsxText' }, { messageId: 'jsxAttribute' }]
+    },
     {
       code: "switch(a){ case 'a': var a ='b'; break; default: break;}",
-      errors
-    },
-    { code: 'export const a = "hello_string";', errors },
-    { code: 'const a = "foo";', errors },
-    { code: 'const a = call("Ffo");', errors },
-    { code: 'var a = {foo: "bar"};', errors },
-    { code: 'const a = "afoo";', options: [{ ignore: ['^foo'] }], errors },
-    { code: 'class Form extends Component { property = "Something" };', errors },
+      errors: [{ messageId: 'variable' }]
+    },
+    {
+      code: 'export const a = "hello_string";',
+      errors: [
+        {
+          messageId: 'variable',
+          data: { string: '"hello_string"', variable: 'a', explanation: '' }
+        }
+      ]
+    },
+    {
+      code: 'const a = "foo";',
+      errors: [{ message: 'Forbidden literal string "foo" assigned to \'a\'' }]
+    },
+    {
+      code: 'const a = call("Ffo");',
+      errors: [
+        { message: 'Forbidden literal string "Ffo" as argument of call()' }
+      ]
+    },
+    {
+      code: 'var a = {foo: "bar"};',
+      errors: [
+        {
+          message:
+            'Forbidden literal string "bar" as value for property \'foo\''
+        }
+      ]
+    },
+    {
+      code: 'this.label = "Save";',
+      errors: [{ messageId: 'property' }]
+    },
+    {
+      code: 'const a = "afoo";',
+      options: [{ ignore: ['^foo'] }],
+      errors: [{ messageId: 'variable' }]
+    },
+    {
+      code: 'class Form extends Component { property = "Something" };',
+      errors: [{ messageId: 'property' }]
+    },
+    {
+      code: 'function f() { return "Save"; }',
+      errors: [{ message: 'Forbidden literal string "Save" returned' }]
+    },
+    {
+      code: 'const f = () => ok ? "Yes" : "No";',
+      errors: [{ messageId: 'return' }, { messageId: 'return' }]
+    },
+    { code: 'const f = (a = "Save") => a;', errors },
     // JSX
-    { code: '<div>foo</div>', errors },
-    { code: '<div>FOO</div>', errors },
-    { code: '<DIV foo="bar" />', errors },
-    { code: '<img src="./image.png" alt="some-image" />', errors },
-    { code: '<button aria-label="Close" type="button" />', errors }
+    {
+      code: '<div>foo</div>',
+      errors: [{ message: 'Forbidden literal string foo in <div>' }]
+    },
+    { code: '<div>FOO</div>', errors: [{ messageId: 'jsxText' }] },
+    { code: '<>{"Save"}</>', errors: [{ messageId: 'jsxText' }] },
+    {
+      code: '<DIV foo="bar" />',
+      errors: [
+        {
+          message:
+            'Forbidden literal string "bar" as value for attribute \'foo\' of <DIV>'
+        }
+      ]
+    },
+    {
+      code: '<img src="./image.png" alt="some-image" />',
+      errors: [{ messageId: 'jsxAttribute' }]
+    },
+    {
+      code: '<button aria-label="Close" type="button" />',
+      errors: [{ messageId: 'jsxAttribute' }]
+    }
+  ]
+});
+
+//
+// ─── TRANSLATORS ────────────────────────────────────────────────────────────────
+//
+
+const translators = {
+  functions: ['*.translate', '/^translate[A-Z]/'],
+  taggedTemplates: ['tr'],
+  components: ['Msg', 'Formatted*']
+};
+
+ruleTester.run('no-literal-string', rule, {
+  valid: [
+    { code: '<Trans>Hello</Trans>' },
+    { code: 't`Hello`' },
+    { code: '<Msg>Hello</Msg>', options: [{ translators }] },
+    {
+      code: '<FormattedText>Hello</FormattedText>',
+      options: [{ translators }]
+    },
+    { code: 'tr`Hello`', options: [{ translators }] },
+    { code: 'i18n.translate("Hello")', options: [{ translators }] },
+    { code: 'this.props.i18n.translate("Hello")', options: [{ translators }] },
+    { code: 'translateLabel("Hello")', options: [{ translators }] },
+    {
+      code: 'foo.bar("Hello")',
+      options: [{ ignoreTranslatorCallee: ['foo.bar'] }]
+    }
+  ],
+  invalid: [
+    { code: '<Msg>Hello</Msg>', errors: 1 },
+    {
+      code: '<Msg.Text>Hello</Msg.Text>',
+      options: [{ translators }],
+      errors: 1
+    },
+    { code: 'tr("Hello")', options: [{ translators }], errors: 1 },
+    { code: 'translate("Hello")', options: [{ translators }], errors: 1 },
+    { code: 'translatelabel("Hello")', options: [{ translators }], errors: 1 },
+    {
+      code: 'xfoo.bar("Hello")',
+      options: [{ ignoreTranslatorCallee: ['foo.bar'] }],
+      errors: 1
+    }
+  ]
+});
+// ────────────────────────────────────────────────────────────────────────────────
+
+//
+// ─── SCOPE RESOLUTION ───────────────────────────────────────────────────────────
+//
+
+const scope = (translators = {}) => [
+  { translators: Object.assign({ resolution: 'scope' }, translators) }
+];
+const hook = 'import { useTranslation } from "react-i18next";\n';
+const hoc = 'import { withTranslation } from "react-i18next";\n';
+
+ruleTester.run('no-literal-string', rule, {
+  valid: [
+    {
+      code: hook + 'const { t } = useTranslation(); t("Hello");',
+      options: scope()
+    },
+    {
+      code:
+        hook + 'const { t: translate } = useTranslation(); translate("Hello");',
+      options: scope()
+    },
+    {
+      code: hook + 'const [t] = useTranslation(); t("Hello");',
+      options: scope()
+    },
+    {
+      code: hook + 'const { i18n } = useTranslation(); i18n.t("Hello");',
+      options: scope()
+    },
+    {
+      code:
+        hook +
+        'function App() { const { t } = useTranslation(); const tr = t; return <p>{tr("Hello")}</p>; }',
+      options: scope()
+    },
+    {
+      code:
+        hoc +
+        'function App({ t }) { return <p>{t("Hello")}</p>; }\nexport default withTranslation()(App);',
+      options: scope()
+    },
+    {
+      code:
+        hoc +
+        'const App = props => props.t("Hello");\nexport default withTranslation(NS)(App);',
+      options: scope()
+    },
+    {
+      code: hoc + 'export default withTranslation()(({ t }) => t("Hello"));',
+      options: scope()
+    },
+    {
+      code:
+        hoc +
+        'class App extends Component { render() { const { t } = this.props; return this.props.t("Hello") + t("World"); } }\nexport default withTranslation()(App);',
+      options: scope()
+    },
+    {
+      code: 'import i18next from "i18next"; i18next.t("Hello");',
+      options: scope()
+    },
+    {
+      code: 'import * as i18next from "i18next"; i18next.t("Hello");',
+      options: scope()
+    },
+    { code: 'import { t } from "i18next"; t("Hello");', options: scope() },
+    {
+      code:
+        'import i18n from "i18next"; const t = i18n.getFixedT(lng); t("Hello"); i18n.getFixedT(lng)("World");',
+      options: scope()
+    },
+    {
+      code: 'import i18n from "./i18n"; i18n.t("Hello");',
+      options: scope({ modules: ['./i18n'] })
+    },
+    { code: 'tr("Hello");', options: scope({ functions: ['tr'] }) }
+  ],
+  invalid: [
+    {
+      code: 'function t(s) { return s; }\nt("Hello");',
+      options: scope(),
+      errors: 1
+    },
+    { code: 't("Hello");', options: scope(), errors: 1 },
+    { code: 'i18next.t("Hello");', options: scope(), errors: 1 },
+    {
+      code: 'function App({ t }) { return t("Hello"); }',
+      options: scope(),
+      errors: 1
+    },
+    {
+      code:
+        'import { useTranslation } from "./hooks";\nconst { t } = useTranslation(); t("Hello");',
+      options: scope(),
+      errors: 1
+    },
+    {
+      code: hook + 'const { ready } = useTranslation(); ready("Hello");',
+      options: scope(),
+      errors: 1
+    },
+    {
+      code: 'import i18n from "./i18n"; i18n.t("Hello");',
+      options: scope(),
+      errors: 1
+    },
+    {
+      code:
+        hoc +
+        'class App extends Component { render() { return this.props.t("Hello"); } }',
+      options: scope(),
+      errors: 1
+    }
   ]
 });
+// ────────────────────────────────────────────────────────────────────────────────
+
+//
+// ─── AUTOFIX ────────────────────────────────────────────────────────────────────
+//
+
+const autofix = (fix = {}) => [
+  { fix: Object.assign({ mode: 'autofix', keyStrategy: 'literal' }, fix) }
+];
+
+ruleTester.run('no-literal-string', rule, {
+  valid: [],
+  invalid: [
+    {
+      code: 'const a = "foo";',
+      options: autofix(),
+      output: "import { t } from 'i18next';\nconst a = t('foo');",
+      errors: 1
+    },
+    {
+      code: 'import { t } from "i18next";\nconst a = "foo";',
+      options: autofix(),
+      output: 'import { t } from "i18next";\nconst a = t(\'foo\');',
+      errors: 1
+    },
+    // a t which is not bound by i18next is left alone
+    {
+      code: 'const t = 1;\nconst a = <p>Hello it</p>;',
+      options: autofix(),
+      output: null,
+      errors: 1
+    },
+    {
+      code: 'const a = t => "foo";',
+      options: autofix(),
+      output: null,
+      errors: 1
+    },
+    {
+      code: 'import { t } from "i18next";\nconst a = `Hello ${user.name}`;',
+      options: autofix(),
+      output:
+        'import { t } from "i18next";\nconst a = t(\'Hello {{name}}\', { name: user.name });',
+      errors: 1
+    },
+    {
+      code: 'import { t } from "i18next";\nconst a = `${a}${b()}`;',
+      options: autofix(),
+      output: null,
+      errors: 1
+    },
+    {
+      code: 'const a = "Hello world";',
+      filename: path.join(process.cwd(), 'src', 'pages', 'Home.jsx'),
+      options: autofix({ keyStrategy: 'path' }),
+      output:
+        "import { t } from 'i18next';\nconst a = t('src.pages.Home.hello_world');",
+      errors: 1
+    },
+    {
+      code: 'const a = "Hello world";',
+      options: autofix({ keyStrategy: 'hash' }),
+      output: "import { t } from 'i18next';\nconst a = t('3e25960a79');",
+      errors: 1
+    },
+    // fixing is opt-in, by default there are only suggestions
+    {
+      code: 'const a = "foo";',
+      output: null,
+      errors: 1
+    },
+    {
+      code: 'const a = "foo";',
+      options: [{ fix: { keyStrategy: 'literal' } }],
+      output: null,
+      errors: 1
+    },
+    {
+      code:
+        'import React from "react";\nfunction App() {\n  return <div>\n    Hello world\n  </div>;\n}',
+      options: autofix({ library: 'react-i18next' }),
+      output:
+        "import React from \"react\";\nimport { useTranslation } from 'react-i18next';\nfunction App() {\n  const { t } = useTranslation();\n  return <div>\n    {t('Hello world')}\n  </div>;\n}",
+      errors: 1
+    },
+    {
+      code:
+        'import { Trans } from "react-i18next";\nconst App = () => (<img alt="Logo" />);',
+      options: autofix({ library: 'react-i18next' }),
+      output:
+        'import { Trans, useTranslation } from "react-i18next";\nconst App = () => { const { t } = useTranslation(); return (<img alt={t(\'Logo\')} />); };',
+      errors: 1
+    },
+    {
+      code:
+        'import { useTranslation } from "react-i18next";\nfunction App() {\n  const { t } = useTranslation();\n  return <Button label={"Save"}>Cancel</Button>;\n}',
+      options: autofix({ library: 'react-i18next' }),
+      output:
+        "import { useTranslation } from \"react-i18next\";\nfunction App() {\n  const { t } = useTranslation();\n  return <Button label={t('Save')}>{t('Cancel')}</Button>;\n}",
+      errors: 2
+    },
+    {
+      code: 'function App() { return <div>Hello world</div>; }',
+      options: autofix({ library: 'react-i18next' }),
+      output:
+        "import { useTranslation } from 'react-i18next';\nfunction App() { const { t } = useTranslation(); return <div>{t('Hello world')}</div>; }",
+      errors: 1
+    },
+    {
+      code: 'const App = () => {\n\treturn <div>Hello world</div>;\n};',
+      options: autofix({ library: 'react-i18next' }),
+      output:
+        "import { useTranslation } from 'react-i18next';\nconst App = () => {\n\tconst { t } = useTranslation();\n\treturn <div>{t('Hello world')}</div>;\n};",
+      errors: 1
+    },
+    // the hook goes into the component, not the callback
+    {
+      code:
+        'import { useTranslation } from "react-i18next";\nfunction App() {\n  const onClick = () => alert("Saved it");\n  return <Button onClick={onClick} />;\n}',
+      options: autofix({ library: 'react-i18next' }),
+      output:
+        'import { useTranslation } from "react-i18next";\nfunction App() {\n  const { t } = useTranslation();\n  const onClick = () => alert(t(\'Saved it\'));\n  return <Button onClick={onClick} />;\n}',
+      errors: 1
+    },
+    {
+      code: 'const useLabel = () => "Saved it";',
+      options: autofix({ library: 'react-i18next' }),
+      output:
+        "import { useTranslation } from 'react-i18next';\nconst useLabel = () => { const { t } = useTranslation(); return t('Saved it'); };",
+      errors: 1
+    },
+    // hooks can not be called there
+    {
+      code:
+        'class App extends Component { render() { return <div>Hello world</div>; } }',
+      options: autofix({ library: 'react-i18next' }),
+      output: null,
+      errors: 1
+    },
+    {
+      code: 'const onClick = () => { return alert("Saved it"); };',
+      options: autofix({ library: 'react-i18next' }),
+      output: null,
+      errors: 1
+    }
+  ]
+});
+
+describe('suggestions', () => {
+  it('offers to wrap reported literals in t()', () => {
+    assert.deepStrictEqual(
+      getSuggestions(rule, 'const a = "foo";\nconst b = <p>Hello</p>;', [
+        { fix: { keyStrategy: 'literal' } }
+      ]),
+      [
+        {
+          desc: "Translate with t('foo')",
+          output:
+            "import { t } from 'i18next';\nconst a = t('foo');\nconst b = <p>Hello</p>;"
+        },
+        {
+          desc: "Translate with t('Hello')",
+          output:
+            "import { t } from 'i18next';\nconst a = \"foo\";\nconst b = <p>{t('Hello')}</p>;"
+        }
+      ]
+    );
+  });
+
+  it('offers no suggestion for a t not bound by i18next', () => {
+    assert.deepStrictEqual(
+      getSuggestions(rule, 'const t = 1;\nconst a = <p>Hello it</p>;', []),
+      []
+    );
+  });
+});
+// ────────────────────────────────────────────────────────────────────────────────
+
+//
+// ─── DETECTORS ──────────────────────────────────────────────────────────────────
+//
+
+ruleTester.run('no-literal-string', rule, {
+  valid: [
+    { code: 'fetch("https://api.example.com/users")' },
+    { code: 'const a = "//cdn.example.com/lib.js";' },
+    { code: 'const a = "mailto:support@example.com";' },
+    { code: 'const a = "./assets/logo.svg";' },
+    { code: 'const a = "/api/users";' },
+    { code: 'const a = "logo.svg";' },
+    { code: 'const a = "application/json";' },
+    { code: 'const a = "text/html; charset=utf-8";' },
+    { code: 'const a = "10px";' },
+    { code: 'const a = "1.5rem 2rem";' },
+    { code: 'const a = "#ff00aa";' },
+    { code: 'const a = "rgba(0, 0, 0, .5)";' },
+    { code: 'const a = "YYYY-MM-DD";' },
+    { code: 'format(date, "MMM D, YYYY HH:mm")' },
+    { code: 'const a = "camelCaseKey";' },
+    { code: 'const a = "PascalCase";' },
+    { code: 'screen.getByTestId("data-testid")' },
+    {
+      code: 'const a = "user_name";',
+      options: [{ detectors: { snakeCase: true } }]
+    },
+    {
+      code: 'const a = "submit";',
+      options: [{ detectors: { singleWord: true } }]
+    },
+    { code: '<img src="./image.png" alt="#fff" />' }
+  ],
+  invalid: [
+    { code: 'const a = "user_name";', errors: 1 },
+    { code: 'const a = "Hello world";', errors: 1 },
+    { code: 'const a = "Click here: https://example.com";', errors: 1 },
+    { code: 'const a = "Mass";', errors: 1 },
+    // single date tokens are words
+    { code: 'const a = "Do";', errors: 1 },
+    { code: '<p>Do</p>', errors: 1 },
+    { code: '<p>LT</p>', errors: 1 },
+    { code: 'const a = "and/or";', errors: 1 },
+    { code: 'const a = "Hello.world";', errors: 1 },
+    { code: 'const a = "e.g";', errors: 1 },
+    { code: 'const a = "iPhone";', errors: 1 },
+    {
+      code: 'const a = "YouTube";',
+      options: [{ detectors: { pascalCase: false } }],
+      errors: 1
+    },
+    // would backtrack for minutes with nested quantifiers
+    { code: `const a = "${'1'.repeat(40)}x";`, errors: 1 },
+    {
+      code: 'const a = "https://example.com";',
+      options: [{ detectors: { url: false } }],
+      errors: 1
+    },
+    { code: '<Button label="camelCaseKey" />', errors: 1 },
+    { code: '<p>data-testid</p>', errors: 1 }
+  ]
+});
+// ────────────────────────────────────────────────────────────────────────────────
+
+//
+// ─── ATTRIBUTES ─────────────────────────────────────────────────────────────────
+//
+
+const tooltip = {
+  components: 'translatable',
+  translatable: { Tooltip: ['content'] }
+};
+
+ruleTester.run('no-literal-string', rule, {
+  valid: [
+    { code: '<div aria-describedby="desc-id" role="button" />' },
+    { code: '<select><option value="us">{t("us")}</option></select>' },
+    { code: '<svg><path d="M0 0" fill="red" stroke-linecap="round" /></svg>' },
+    { code: '<Button key="save" ref="button" class="primary" />' },
+    { code: '<Tooltip placement="top" />', options: [{ attributes: tooltip }] },
+    {
+      code: '<Tooltip placement="top" />',
+      options: [{ attributes: { ignore: { Tooltip: ['placement'] } } }]
+    },
+    {
+      code: '<Foo.Bar size="large" />',
+      options: [{ attributes: { ignore: { 'Foo.Bar': ['size'] } } }]
+    },
+    {
+      code: '<my-btn data-size="large" />',
+      options: [{ attributes: { ignore: { '*': ['data-*'] } } }]
+    },
+    {
+      code: '<Button label="Save" />',
+      options: [{ ignoreTags: [{ tag: ['Button'], attributes: ['label'] }] }]
+    },
+    {
+      code: '<Button label="Save" />',
+      options: [{ ignoreAttribute: ['label'] }]
+    }
+  ],
+  invalid: [
+    { code: '<div title="Hello world" />', errors: 1 },
+    {
+      code: '<abbr title="World Health Organization">{t("who")}</abbr>',
+      errors: 1
+    },
+    { code: '<div aria-description="Opens the menu" />', errors: 1 },
+    { code: '<input aria-placeholder="Search" />', errors: 1 },
+    { code: '<section aria-roledescription="Slide" />', errors: 1 },
+    { code: '<option label="United States" />', errors: 1 },
+    { code: '<track label="English" />', errors: 1 },
+    { code: '<input type="submit" value="Send" />', errors: 1 },
+    { code: '<meta name="description" content="Shop online" />', errors: 1 },
+    { code: '<div title={ok ? "Yes" : "No"} />', errors: 2 },
+    { code: '<svg aria-label="Close icon" />', errors: 1 },
+    { code: '<svg><title>Close</title></svg>', errors: 1 },
+    { code: '<svg><text x="0">Hello</text></svg>', errors: 1 },
+    { code: '<Button size="large" />', errors: 1 },
+    {
+      code: '<Tooltip content="Saved" placement="top" />',
+      options: [{ attributes: tooltip }],
+      errors: 1
+    },
+    {
+      code: '<div data-tip="Hello" />',
+      options: [{ attributes: { translatable: { '*': ['data-tip'] } } }],
+      errors: 1
+    },
+    {
+      code: '<Button title="Save" />',
+      options: [
+        {
+          attributes: {
+            ignore: { '*': ['title'] },
+            translatable: { Button: ['title'] }
+          }
+        }
+      ],
+      errors: 1
+    }
+  ]
+});
+// ────────────────────────────────────────────────────────────────────────────────
+
+//
+// ─── MODES ──────────────────────────────────────────────────────────────────────
+//
+
+const jsxOnly = [{ mode: 'jsx-only' }];
+const jsxTextOnly = [{ mode: 'jsx-text-only' }];
+
+ruleTester.run('no-literal-string', rule, {
+  valid: [
+    { code: 'const a = "Hello world";', options: jsxOnly },
+    { code: 'alert("Hello world")', options: jsxOnly },
+    { code: 'const a = { label: "Hello world" };', options: jsxOnly },
+    { code: 'function a() { return "Hello world"; }', options: jsxOnly },
+    { code: '<img alt="Hello world" />', options: jsxTextOnly },
+    {
+      code: '<div>Hello world</div>',
+      options: [{ contexts: { jsxText: false } }]
+    },
+    {
+      code: 'alert("Hello world"); const a = "Hello world";',
+      options: [{ contexts: { argument: false, variable: false } }]
+    },
+    {
+      code: 'class A { label = "Hello world" }; this.title = "Hello world";',
+      options: [{ contexts: { property: false } }]
+    },
+    {
+      code: 'const a = ok ? "Yes" : "No";',
+      options: [{ contexts: { variable: false } }]
+    },
+    {
+      code: 'function a() { return "Hello world"; }',
+      options: [{ contexts: { return: false } }]
+    }
+  ],
+  invalid: [
+    { code: '<div>Hello world</div>', options: jsxOnly, errors: 1 },
+    { code: '<div>{"Hello world"}</div>', options: jsxTextOnly, errors: 1 },
+    {
+      code: '<div>{ok ? "Yes" : "No"}</div>',
+      options: jsxTextOnly,
+      errors: 2
+    },
+    { code: '<img alt="Hello world" />', options: jsxOnly, errors: 1 },
+    { code: '<img alt={"Hello world"} />', options: jsxOnly, errors: 1 },
+    {
+      code: 'const a = "Hello world";',
+      options: [{ mode: 'jsx-only', contexts: { variable: true } }],
+      errors: 1
+    },
+    {
+      code: 'alert("Hello world"); const a = "Hello world";',
+      options: [{ contexts: { argument: false } }],
+      errors: 1
+    },
+    {
+      code: 'const a = () => "Hello world";',
+      options: [{ mode: 'jsx-only', contexts: { return: true } }],
+      errors: [{ messageId: 'return' }]
+    }
+  ]
+});
+// ────────────────────────────────────────────────────────────────────────────────
+
+//
+// ─── EXPLAIN ────────────────────────────────────────────────────────────────────
+//
+
+const explain = [{ explain: true }];
+const allowed = reason => [{ messageId: 'allowed', data: reason }];
+
+ruleTester.run('no-literal-string', rule, {
+  valid: [
+    { code: 'const a = "";', options: explain },
+    { code: '<div>\n  <br />\n</div>', options: explain }
+  ],
+  invalid: [
+    {
+      code: 'const a = "Hello";',
+      options: explain,
+      errors: [
+        {
+          message:
+            'Forbidden literal string "Hello" assigned to \'a\' (reported by the literal check)'
+        }
+      ]
+    },
+    {
+      code: 'const A_B = "world";',
+      options: explain,
+      errors: [{ message: 'Allowed "world": UPPER_CASE variable \'A_B\'' }]
+    },
+    {
+      code: 'const a = "afoo";',
+      options: [{ explain: true, ignore: ['foo'] }],
+      errors: allowed({ string: '"afoo"', reason: "ignore pattern 'foo'" })
+    },
+    {
+      code: 'const a = "123";',
+      options: explain,
+      errors: allowed({ string: '"123"', reason: 'no letters' })
+    },
+    {
+      code: 'const a = "https://example.com";',
+      options: explain,
+      errors: allowed({
+        string: '"https://example.com"',
+        reason: "detector 'url'"
+      })
+    },
+    {
+      code: 'store.dispatch("hello");',
+      options: explain,
+      errors: allowed({
+        string: '"hello"',
+        reason: "argument of ignored callee 'dispatch'"
+      })
+    },
+    {
+      code: '<div className="primary" />',
+      options: explain,
+      errors: allowed({
+        string: '"primary"',
+        reason: "attribute 'className' of <div> is not translatable"
+      })
+    },
+    {
+      code: 't("hello");',
+      options: explain,
+      errors: allowed({ string: '"hello"', reason: 'inside a translation' })
+    },
+    {
+      code: 'alert("Hello");',
+      options: [{ explain: true, contexts: { argument: false } }],
+      errors: allowed({
+        string: '"Hello"',
+        reason: "context 'argument' is disabled"
+      })
+    },
+    {
+      code: 'var a = { A_B: "Hello" };',
+      options: explain,
+      errors: allowed({
+        string: '"Hello"',
+        reason: "UPPER_CASE property 'A_B'"
+      })
+    }
+  ]
+});
+// ────────────────────────────────────────────────────────────────────────────────
+
+//
+// ─── BASELINE ───────────────────────────────────────────────────────────────────
+//
+
+const baselineDir = path.resolve(__dirname, '../../fixtures/baseline');
+const baseline = [
+  { baseline: path.join(baselineDir, 'i18next-baseline.json') }
+];
+const baselineFile = path.join(baselineDir, 'src', 'App.jsx');
+
+ruleTester.run('no-literal-string', rule, {
+  valid: [
+    {
+      code:
+        'const a = "foo";\nconst b = <p>Hello world</p>;\nconst c = <p>\n  Hello\n  world\n</p>;',
+      filename: baselineFile,
+      options: baseline
+    },
+    {
+      code:
+        'const c = <p>Hello world</p>;\nconst b = <p>Hello world</p>;\n\n\nconst a = "foo";',
+      filename: baselineFile,
+      options: baseline
+    },
+    {
+      code: 'const a = t("foo");',
+      filename: path.join(baselineDir, 'src', 'Other.jsx'),
+      options: baseline
+    }
+  ],
+  invalid: [
+    {
+      code:
+        'const a = "foo";\nconst b = "foo";\nconst c = <p>Hello world</p>;\nconst d = <p>Hello world</p>;',
+      filename: baselineFile,
+      options: baseline,
+      errors: [{ line: 2 }]
+    },
+    {
+      code: 'const a = "foo";',
+      filename: path.join(baselineDir, 'src', 'Other.jsx'),
+      options: baseline,
+      errors: 1
+    },
+    {
+      code: 'const b = <p>Hello world</p>;',
+      filename: baselineFile,
+      options: baseline,
+      errors: [
+        {
+          message: 'Stale baseline entry "foo": recorded 1 times, found 0'
+        },
+        {
+          message: 'Stale baseline entry Hello world: recorded 2 times, found 1'
+        }
+      ]
+    },
+    {
+      code: 'const a = 1;',
+      options: [{ baseline: path.join(baselineDir, 'missing.json') }],
+      errors: [{ message: /^Failed to load baseline .*missing\.json: ENOENT/ }]
+    }
+  ]
+});
+// ────────────────────────────────────────────────────────────────────────────────
 
 //
 // ─── VUE ────────────────────────────────────────────────────────────────────────
@@ -126,15 +905,94 @@ const vueTester = new RuleTester({
 });
 
 vueTester.run('no-literal-string', rule, {
-  valid: [{ code: '<template>{{ i18next.t("abc") }}</template>' }],
+  valid: [
+    { code: '<template>{{ i18next.t("abc") }}</template>' },
+    { code: '<template><p>{{ $t("hello") }}</p></template>' },
+    { code: '<template><p>{{ $tc("apple", 2) }}</p></template>' },
+    { code: '<template><p :title="$t(\'hello\')"></p></template>' },
+    { code: '<template><p v-t="\'hello\'"></p></template>' },
+    { code: '<template><p v-t="{ path: \'hello\' }"></p></template>' },
+    {
+      code: '<template><i18n-t keypath="hello"><b>Name</b></i18n-t></template>'
+    },
+    {
+      code: '<template><div class="active" id="main">{{ 1 }}</div></template>'
+    },
+    { code: '<template><my-btn class="active" type="submit" /></template>' },
+    { code: '<template><input type="text" name="query"></template>' },
+    {
+      code:
+        '<template><div></div></template><script>export default { methods: { greet() { return this.$t("hello"); } } }</script>'
+    },
+    {
+      code: '<template><my-btn label="Save" /></template>',
+      options: [{ ignoreTags: [{ tag: 'my-btn', attributes: ['label'] }] }]
+    },
+    { code: '<template><p :class="\'active\'" :id="\'main\'"></p></template>' },
+    {
+      code: '<template><my-btn size="large" /></template>',
+      options: [{ attributes: { ignore: { 'my-*': ['size'] } } }]
+    },
+    {
+      code: '<template><my-btn label="Save" :title="\'Save\'" /></template>',
+      options: [{ mode: 'jsx-text-only' }]
+    },
+    {
+      code:
+        '<template><p>Save</p></template><script>export default { data: () => ({ a: "Save" }) }</script>',
+      options: [{ mode: 'jsx-only', contexts: { jsxText: false } }]
+    }
+  ],
   invalid: [
     {
       code: '<template>abc</template>',
-      errors
+      errors: [{ message: 'Forbidden literal string abc in <template>' }]
     },
     {
       code: '<template>{{"hello"}}</template>',
-      errors
+      errors: [{ messageId: 'jsxText' }]
+    },
+    {
+      code: '<template><p class="active">Save</p></template>',
+      options: [{ explain: true }],
+      errors: [
+        {
+          message:
+            'Allowed "active": attribute \'class\' of <p> is not translatable'
+        },
+        {
+          message:
+            'Forbidden literal string Save in <p> (reported by the vue text check)'
+        }
+      ]
+    },
+    {
+      code: '<template><p :title="\'Save\'" /></template>',
+      errors: [
+        {
+          message:
+            "Forbidden literal string 'Save' as value for attribute 'title' of <p>"
+        }
+      ]
+    },
+    { code: '<template><input placeholder="Search"></template>', errors: 1 },
+    { code: '<template><p>  FOO  </p></template>', errors: 1 },
+    { code: '<template><my-btn label="save-button" /></template>', errors: 1 },
+    { code: '<template><my-btn label="Save" /></template>', errors: 1 },
+    { code: '<template><p :title="\'hello\'"></p></template>', errors: 1 },
+    {
+      code: '<template><option label="United States" /></template>',
+      errors: 1
+    },
+    {
+      code: '<template><p :title="\'hello\'">{{ "hello" }}</p></template>',
+      options: [{ mode: 'jsx-text-only' }],
+      errors: 1
+    },
+    {
+      code:
+        '<template><div></div></template><script>export default { methods: { greet() { return "hello"; } } }</script>',
+      errors: 1
     }
   ]
 });
@@ -152,33 +1010,155 @@ const tsTester = new RuleTester({
   }
 });
 
-tsTester.run('no-literal-string', rule, {
-  valid: [
-    { code: '<div className="hello"></div>', filename: 'a.tsx' },
-    { code: "var a: Element['nodeName']" },
-    { code: "var a: Omit<T, 'af'>" },
-    { code: `var a: 'abc' = 'abc'` },
-    { code: `var a: 'abc' | 'name'  | undefined= 'abc'` },
-    { code: "type T = {name: 'b'} ; var a: T =  {name: 'b'}" },
-    { code: "function Button({ t= 'name'  }: {t: 'name'}){} " },
-    { code: "type T ={t?:'name'|'abc'};function Button({t='name'}:T){}" }
-  ],
-  invalid: [
-    {
-      code: `<button className={styles.btn}>loading</button>`,
-      filename: 'a.tsx',
-      errors
-    },
+describe('typescript', function() {
+  // creating the program of the first file takes a while
+  this.timeout(10000);
 
-    {
-      code: "function Button({ t= 'name'  }: {t: 'name' &  'abc'}){} ",
-      errors
-    },
-    {
-      code: "function Button({ t= 'name'  }: {t: 1 |  'abc'}){} ",
-      errors
-    },
-    { code: "var a: {type: string} = {type: 'bb'}", errors }
-  ]
+  tsTester.run('no-literal-string', rule, {
+    valid: [
+      { code: '<div className="hello"></div>', filename: 'a.tsx' },
+      { code: "var a: Element['nodeName']" },
+      { code: "var a: Omit<T, 'af'>" },
+      { code: `var a: 'abc' = 'abc'` },
+      { code: `var a: 'abc' | 'name'  | undefined= 'abc'` },
+      { code: "type T = {name: 'b'} ; var a: T =  {name: 'b'}" },
+      { code: "function Button({ t= 'name'  }: {t: 'name'}){} " },
+      { code: "type T ={t?:'name'|'abc'};function Button({t='name'}:T){}" },
+      {
+        code:
+          "declare function Button(props: { variant: 'primary' | 'secondary' }): any; <Button variant=\"primary\" />",
+        filename: 'a.tsx'
+      },
+      {
+        code:
+          "type Shape = { kind: 'circle'; r: number } | { kind: 'square'; s: number }; var s: Shape = { kind: 'circle', r: 1 };"
+      },
+      { code: "function f(s: 'a' | 'b') {}; f('a');" },
+      {
+        code:
+          "type Status = 'active' | 'inactive'; declare var labels: Record<Status, string>; labels['active'];"
+      }
+    ],
+    invalid: [
+      {
+        code: `<button className={styles.btn}>loading</button>`,
+        filename: 'a.tsx',
+        errors: [{ messageId: 'jsxText' }]
+      },
+
+      {
+        code: "function Button({ t= 'name'  }: {t: 'name' &  'abc'}){} ",
+        errors
+      },
+      {
+        code: "function Button({ t= 'name'  }: {t: 1 |  'abc'}){} ",
+        errors
+      },
+      {
+        code: "var a: {type: string} = {type: 'bb'}",
+        errors: [{ messageId: 'property' }]
+      },
+      {
+        code: "declare var cond: boolean; var a = cond ? 'abc' : 'cde';",
+        errors: 2
+      },
+      {
+        code:
+          "declare var cond: boolean; var a: string = cond ? 'abc' : 'cde';",
+        errors: 2
+      },
+      {
+        code:
+          "type Status = 'active'; var labels: Record<Status, string> = { active: 'Active' };",
+        errors: 1
+      },
+      { code: "function f(s: string) {}; f('abc');", errors: 1 },
+      {
+        code: "declare var labels: Record<string, string>; labels['active'];",
+        errors: 1
+      }
+    ]
+  });
+
+  const brand = `type TranslatedString = string & { __brand: 'translated' };
+declare function t(key: string): TranslatedString;
+declare function Button(props: { label?: TranslatedString; variant: 'primary' | 'link' }): any;
+declare function notify(message: TranslatedString): void;
+`;
+  const brandedTypes = ['TranslatedString'];
+  const brandedErrors = [
+    { message: "Untranslated 'Save' passed as TranslatedString" }
+  ];
+
+  tsTester.run('no-literal-string', rule, {
+    valid: [
+      {
+        code: `${brand} <Button label={t('save')} variant="primary" />`,
+        options: [{ brandedTypes }],
+        filename: 'a.tsx'
+      },
+      {
+        code: `${brand} declare var saved: TranslatedString | undefined; notify(saved || t('save'));`,
+        options: [{ brandedTypes }]
+      },
+      {
+        code: `${brand} notify('Save' as TranslatedString);`,
+        options: [{ brandedTypes }]
+      },
+      {
+        code: `${brand} declare var name: string; declare function log(message: string): void; log(name);`,
+        options: [{ brandedTypes }]
+      }
+    ],
+    invalid: [
+      {
+        code: `${brand} notify('Save');`,
+        options: [{ brandedTypes }],
+        errors: brandedErrors
+      },
+      {
+        code: `${brand} <Button label="Save" variant="primary" />`,
+        options: [{ brandedTypes }],
+        filename: 'a.tsx',
+        errors: [{ message: 'Untranslated "Save" passed as TranslatedString' }]
+      },
+      {
+        // regardless of the attribute policy
+        code: `${brand} <Button label="Save" variant="primary" />`,
+        options: [
+          { brandedTypes, attributes: { ignore: { Button: ['label'] } } }
+        ],
+        filename: 'a.tsx',
+        errors: [{ message: 'Untranslated "Save" passed as TranslatedString' }]
+      },
+      {
+        // regardless of the ignore patterns
+        code: `${brand} notify('SAVE');`,
+        options: [{ brandedTypes }],
+        errors: [{ message: "Untranslated 'SAVE' passed as TranslatedString" }]
+      },
+      {
+        code: `${brand} declare var name: string; notify(name);`,
+        options: [{ brandedTypes }],
+        errors: [{ message: 'Untranslated name passed as TranslatedString' }]
+      },
+      {
+        code: `${brand} declare var cond: boolean; notify(cond ? t('save') : 'Save');`,
+        options: [{ brandedTypes }],
+        errors: brandedErrors
+      },
+      {
+        code: `${brand} var props: { label: TranslatedString } = { label: 'Save' };`,
+        options: [{ brandedTypes }],
+        errors: brandedErrors
+      },
+      {
+        // regardless of the contexts rolled out
+        code: `${brand} notify('Save');`,
+        options: [{ brandedTypes, mode: 'jsx-only' }],
+        errors: brandedErrors
+      }
+    ]
+  });
 });
 // ────────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview disallow interpolation values not matching the placeholders of translations
+ * @author edvardchen
+ */
+'use strict';
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var rule = require('../../../lib/rules/no-mismatched-interpolation'),
+  RuleTester = require('eslint').RuleTester,
+  path = require('path');
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const locales = path.resolve(__dirname, '../../fixtures/locales');
+const options = [{ resources: [path.join(locales, 'en/translation.json')] }];
+
+const missing = (name, key) => ({
+  message: `Missing interpolation value '${name}' for translation '${key}'`
+});
+const unused = (name, key) => ({
+  message: `Unused interpolation value '${name}' for translation '${key}'`
+});
+
+var ruleTester = new RuleTester({
+  parser: 'babel-eslint',
+  parserOptions: {
+    sourceType: 'module'
+  }
+});
+ruleTester.run('no-mismatched-interpolation', rule, {
+  valid: [
+    { code: 't("welcome", { name })', options },
+    { code: 't("welcome", { name: user.name, lng: "de" })', options },
+    { code: 't("welcome", { replace: { name } })', options },
+    { code: 't(`welcome`, { ["name"]: user.name })', options },
+    { code: 't("welcome", "Welcome!", { name })', options },
+    { code: 't("checkout.items", { count })', options },
+    { code: 't("checkout.total", { amount })', options },
+    { code: 't("bio", { html, author })', options },
+    { code: 't("summary", { name, total })', options },
+    { code: 't("checkout.submit")', options },
+    {
+      code: 't("checkout.submit", { count: 1, defaultValue_one: "x" })',
+      options
+    },
+    { code: 't("welcome", values)', options },
+    { code: 't("welcome", { ...values })', options },
+    { code: 't("unknown", { foo })', options },
+    { code: 't(key, { foo })', options },
+    { code: 'foo("welcome")', options }
+  ],
+
+  invalid: [
+    {
+      code: 't("welcome")',
+      options,
+      errors: [missing('name', 'welcome')]
+    },
+    {
+      code: 't("welcome", { nmae: name })',
+      options,
+      errors: [missing('name', 'welcome'), unused('nmae', 'welcome')]
+    },
+    {
+      code: 't("welcome", { ...values, extra })',
+      options,
+      errors: [unused('extra', 'welcome')]
+    },
+    {
+      code: 'i18next.t(`checkout.items`)',
+      options,
+      errors: [missing('count', 'checkout.items')]
+    },
+    {
+      code: 't("checkout.total", { value })',
+      options,
+      errors: [
+        missing('amount', 'checkout.total'),
+        unused('value', 'checkout.total')
+      ]
+    },
+    {
+      code: 't("bio", { html })',
+      options,
+      errors: [missing('author', 'bio')]
+    },
+    {
+      code: 't("summary", { total })',
+      options,
+      errors: [missing('name', 'summary')]
+    }
+  ]
+});
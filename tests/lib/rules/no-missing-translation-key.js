@@ -0,0 +1,431 @@
+/**
+ * @fileoverview disallow translation keys missing from resource files
+ * @author edvardchen
+ */
+'use strict';
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var rule = require('../../../lib/rules/no-missing-translation-key'),
+  RuleTester = require('eslint').RuleTester,
+  path = require('path');
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const locales = path.resolve(__dirname, '../../fixtures/locales');
+const translation = path.join(locales, 'en/translation.json');
+const common = path.join(locales, 'en/common.json');
+const options = [{ resources: [translation, common] }];
+
+const missing = key => [
+  {
+    message: `Missing translation key '${key}' in ${translation}, ${common}`
+  }
+];
+
+const namespaces = [{ namespaces: path.join(locales, 'en/{{ns}}.json') }];
+
+var ruleTester = new RuleTester({
+  parser: 'babel-eslint',
+  parserOptions: {
+    sourceType: 'module',
+    ecmaFeatures: {
+      jsx: true
+    }
+  }
+});
+ruleTester.run('no-missing-translation-key', rule, {
+  valid: [
+    { code: 't("checkout.submit")', options },
+    { code: 'i18next.t("save")', options },
+    { code: 'i18n.t(`cancel`)', options },
+    { code: 't("common:save")', options },
+    { code: 't("flat.key")', options },
+    { code: 't("checkout.items", { count })', options },
+    { code: 't("friend", { context })', options },
+    { code: 't(["unknown", "welcome"])', options },
+    { code: 't(key)', options },
+    { code: 't(`checkout.${step}`)', options },
+    { code: 'foo("unknown")', options },
+    { code: '<Trans i18nKey="welcome" />', options },
+    { code: '<Trans i18nKey={"checkout.submit"} />', options },
+    { code: '<Other i18nKey="unknown" />', options },
+    { code: 'tr("unknown")', options },
+    {
+      code: 't("unknown")',
+      options: [
+        {
+          resources: [translation],
+          translators: { resolution: 'scope' }
+        }
+      ]
+    },
+    {
+      code: '<Msg i18nKey="welcome" />',
+      options: [
+        { resources: [translation], translators: { components: ['Msg'] } }
+      ]
+    },
+    {
+      code: 't("checkout/submit")',
+      options: [{ resources: [translation], keySeparator: '/' }]
+    },
+    {
+      code: 't("common|save")',
+      options: [{ resources: [common], nsSeparator: '|' }]
+    },
+    { code: 't("checkout.submit")', options: namespaces },
+    { code: 't("common:save")', options: namespaces },
+    { code: 't("title", { ns: "billing" })', options: namespaces },
+    { code: 't("title", { ns })', options: namespaces },
+    {
+      code:
+        'import { useTranslation } from "react-i18next";\nconst { t } = useTranslation("billing");\nt("title");\nt("invoice.total");\nt("common:save");',
+      options: namespaces
+    },
+    {
+      code:
+        'import { useTranslation } from "react-i18next";\nconst { t } = useTranslation(["billing", "common"]);\nt("save");',
+      options: namespaces
+    },
+    {
+      code:
+        'import { useTranslation } from "react-i18next";\nconst { t } = useTranslation("billing", { keyPrefix: "invoice" });\nt("total");',
+      options: namespaces
+    },
+    {
+      code:
+        'import { withTranslation } from "react-i18next";\nexport default withTranslation("billing")(function Invoice({ t }) { return t("title"); });',
+      options: namespaces
+    },
+    {
+      code:
+        'import i18next from "i18next";\nconst t = i18next.getFixedT("de", "billing", "invoice");\nt("total");',
+      options: namespaces
+    },
+    {
+      code:
+        'import { Translation } from "react-i18next";\n<Translation ns="billing">{t => t("title")}</Translation>',
+      options: namespaces
+    },
+    { code: '<Trans ns="billing" i18nKey="title" />', options: namespaces },
+    {
+      code: 't("save")',
+      options: [
+        {
+          namespaces: { common, translation },
+          defaultNS: 'common'
+        }
+      ]
+    },
+    {
+      code:
+        'import { useTranslation } from "react-i18next";\nconst { t } = useTranslation(ns);\nt("title");',
+      options: namespaces
+    },
+    {
+      code:
+        'import { useTranslation } from "react-i18next";\nconst { t } = useTranslation("billing", { keyPrefix });\nt("unknown");',
+      options: namespaces
+    }
+  ],
+
+  invalid: [
+    {
+      code: 't("checkout.sumbit")',
+      options,
+      errors: missing('checkout.sumbit')
+    },
+    { code: 'i18next.t("unknown")', options, errors: missing('unknown') },
+    { code: 't("common:unknown")', options, errors: missing('common:unknown') },
+    {
+      code: 't(["unknown", "other"])',
+      options,
+      errors: missing("unknown', 'other")
+    },
+    {
+      code: 't("checkout.submit")',
+      options: [{ resources: [translation], keySeparator: false }],
+      errors: [
+        {
+          message: `Missing translation key 'checkout.submit' in ${translation}`
+        }
+      ]
+    },
+    {
+      code: '<Trans i18nKey="unknown" />',
+      options,
+      errors: missing('unknown')
+    },
+    {
+      code: '<Trans i18nKey={`unknown`} />',
+      options,
+      errors: missing('unknown')
+    },
+    {
+      code: 'tr("unknown")',
+      options: [
+        { resources: [translation, common], translators: { functions: ['tr'] } }
+      ],
+      errors: missing('unknown')
+    },
+    {
+      code: '<Msg i18nKey="unknown" />',
+      options: [
+        {
+          resources: [translation, common],
+          translators: { components: ['Msg'] }
+        }
+      ],
+      errors: missing('unknown')
+    },
+    {
+      code:
+        'import { Translation } from "react-i18next";\n<Translation>{t => t("unknown")}</Translation>',
+      options: [
+        {
+          resources: [translation, common],
+          translators: { resolution: 'scope' }
+        }
+      ],
+      errors: missing('unknown')
+    },
+    {
+      code: 't("title")',
+      options: namespaces,
+      errors: [
+        {
+          message:
+            "Translation key 'title' is not in namespace translation but in billing"
+        }
+      ]
+    },
+    {
+      code:
+        'import { useTranslation } from "react-i18next";\nconst { t } = useTranslation("billing");\nt("save");',
+      options: namespaces,
+      errors: [
+        {
+          message:
+            "Translation key 'save' is not in namespace billing but in common"
+        }
+      ]
+    },
+    {
+      code:
+        'import { useTranslation } from "react-i18next";\nconst { t } = useTranslation("billing", { keyPrefix: "invoice" });\nt("title");',
+      options: namespaces,
+      errors: [
+        {
+          message: `Missing translation key 'invoice.title' in ${path.join(
+            locales,
+            'en/billing.json'
+          )}`
+        }
+      ]
+    },
+    {
+      code: '<Trans ns="billing" i18nKey="unknown" />',
+      options: namespaces,
+      errors: [
+        {
+          message: `Missing translation key 'unknown' in ${path.join(
+            locales,
+            'en/billing.json'
+          )}`
+        }
+      ]
+    },
+    {
+      code: 't("shop:title")',
+      options: [{ namespaces: { common, translation } }],
+      errors: [{ message: "Unknown namespace 'shop'" }]
+    },
+    {
+      code: 't("shop:title"); t("shop:other")',
+      options: namespaces,
+      errors: [
+        {
+          message: new RegExp(
+            `^Failed to load translation resource .*shop\\.json: ENOENT`
+          )
+        }
+      ]
+    },
+    {
+      code: 't("save")',
+      options: [{ resources: [path.join(locales, 'en/missing.json')] }],
+      errors: [
+        {
+          message: new RegExp(
+            `^Failed to load translation resource .*missing\\.json: ENOENT`
+          )
+        },
+        {
+          message: `Missing translation key 'save' in ${path.join(
+            locales,
+            'en/missing.json'
+          )}`
+        }
+      ]
+    }
+  ]
+});
+
+//
+// ─── VUE ────────────────────────────────────────────────────────────────────────
+//
+
+const vueTester = new RuleTester({
+  parser: 'vue-eslint-parser',
+  parserOptions: {
+    sourceType: 'module'
+  }
+});
+
+const i18nBlock =
+  '<i18n>{ "en": { "local": { "hello": "Hello" } }, "de": { "local": { "hello": "Hallo" } } }</i18n>';
+
+vueTester.run('no-missing-translation-key', rule, {
+  valid: [
+    { code: '<template><p>{{ $t("welcome") }}</p></template>', options },
+    { code: '<template><p v-t="\'checkout.submit\'"></p></template>', options },
+    {
+      code: '<template><p v-t="{ path: \'common:save\' }"></p></template>',
+      options
+    },
+    {
+      code: '<template><i18n-t keypath="welcome" tag="p"></i18n-t></template>',
+      options
+    },
+    {
+      code: `<template><p>{{ $t("local.hello") }}</p></template>\n${i18nBlock}`,
+      options
+    },
+    {
+      code:
+        '<template><p>{{ $t("hello") }}</p></template>\n<i18n locale="en">{ "hello": "Hello" }</i18n>',
+      options
+    },
+    {
+      code: '<template><p>{{ $t("save") }}</p></template>',
+      options: [{ namespaces: { common }, defaultNS: 'common' }]
+    },
+    {
+      code:
+        '<template><div></div></template>\n<i18n lang="yaml">\nen:\n  hello: Hello\n</i18n>',
+      options
+    }
+  ],
+
+  invalid: [
+    {
+      code: '<template><p>{{ $t("unknown") }}</p></template>',
+      options,
+      errors: missing('unknown')
+    },
+    {
+      code: '<template><p :title="$t(\'unknown\')"></p></template>',
+      options,
+      errors: missing('unknown')
+    },
+    {
+      code: '<template><p v-t="\'unknown\'"></p></template>',
+      options,
+      errors: missing('unknown')
+    },
+    {
+      code: '<template><i18n-t keypath="unknown"></i18n-t></template>',
+      options,
+      errors: missing('unknown')
+    },
+    {
+      code:
+        '<template><div></div></template><script>export default { computed: { title() { return this.$t("unknown"); } } }</script>',
+      options,
+      errors: missing('unknown')
+    },
+    {
+      code:
+        '<template><div></div></template>\n<i18n>{ "en": { "hello": "Hello", "bye": "Bye" }, "de": { "hello": "Hallo" } }</i18n>',
+      options,
+      errors: [
+        {
+          message:
+            "Translation key 'bye' of the <i18n> block is missing in locale de"
+        }
+      ]
+    },
+    {
+      code: '<template><div></div></template>\n<i18n>{ "en": </i18n>',
+      options,
+      errors: [{ message: /^Failed to parse <i18n> block: / }]
+    }
+  ]
+});
+// ────────────────────────────────────────────────────────────────────────────────
+
+//
+// ─── DYNAMIC KEYS ───────────────────────────────────────────────────────────────
+//
+
+ruleTester.run('no-missing-translation-key', rule, {
+  valid: [
+    {
+      code:
+        '// i18next-keys: checkout.submit, checkout.total\nt(`checkout.${step}`)',
+      options
+    },
+    {
+      code: '// i18next-keys: title, invoice.total\nt(key, { ns: "billing" })',
+      options: namespaces
+    }
+  ],
+  invalid: [
+    {
+      code:
+        '// i18next-keys: checkout.submit, checkout.cancel\nt(`checkout.${step}`)',
+      options,
+      errors: missing('checkout.cancel')
+    },
+    {
+      code: '// i18next-keys: title, invoice.tax\nt(key, { ns: "billing" })',
+      options: namespaces,
+      errors: 1
+    }
+  ]
+});
+
+const tsTester = new RuleTester({
+  parser: '@typescript-eslint/parser',
+  parserOptions: {
+    sourceType: 'module',
+    project: path.resolve(__dirname, 'tsconfig.json')
+  }
+});
+
+describe('typescript', function() {
+  // creating the program of the first file takes a while
+  this.timeout(10000);
+
+  tsTester.run('no-missing-translation-key', rule, {
+    valid: [
+      {
+        code: "declare var step: 'submit' | 'total'; t(`checkout.${step}`);",
+        options
+      }
+    ],
+    invalid: [
+      {
+        code: "declare var step: 'submit' | 'cancel'; t(`checkout.${step}`);",
+        options,
+        errors: missing('checkout.cancel')
+      }
+    ]
+  });
+});
+// ────────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview disallow rendering translations as unescaped HTML
+ * @author edvardchen
+ */
+'use strict';
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var rule = require('../../../lib/rules/no-unsafe-translation-html'),
+  RuleTester = require('eslint').RuleTester;
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+function sink(name) {
+  return [
+    {
+      messageId: 'htmlSink',
+      data: { sink: name, alternative: '<Trans components>' }
+    }
+  ];
+}
+
+var ruleTester = new RuleTester({
+  parser: 'babel-eslint',
+  parserOptions: {
+    sourceType: 'module',
+    ecmaFeatures: { jsx: true }
+  }
+});
+ruleTester.run('no-unsafe-translation-html', rule, {
+  valid: [
+    { code: '<p>{t("promo")}</p>' },
+    { code: '<Trans i18nKey="promo" components={{ bold: <strong /> }} />' },
+    { code: '<div dangerouslySetInnerHTML={{ __html: markdown }} />' },
+    {
+      code:
+        '<div dangerouslySetInnerHTML={{ __html: DOMPurify.sanitize(t("promo")) }} />'
+    },
+    { code: 'el.textContent = t("promo")' },
+    { code: 'el.innerHTML = "<br>"' },
+    { code: 'stream.write(t("promo"))' },
+    { code: 'el.toString(t("promo"))' },
+    { code: 'const html = sanitize(t("promo")); el.innerHTML = html;' },
+    { code: 't("promo", { interpolation: { escapeValue: true } })' },
+    { code: 'format("promo", { interpolation: { escapeValue: false } })' },
+    // escaping is left to React
+    { code: 'i18next.init({ interpolation: { escapeValue: false } })' },
+    {
+      code:
+        'i18next.use(initReactI18next).createInstance({ interpolation: { escapeValue: false } })'
+    },
+    {
+      code: 'el.innerHTML = tr("promo")',
+      options: [{ translators: { functions: ['t'] } }]
+    }
+  ],
+
+  invalid: [
+    {
+      code: '<div dangerouslySetInnerHTML={{ __html: t("promo") }} />',
+      errors: [
+        {
+          message:
+            'Translation rendered as HTML by dangerouslySetInnerHTML, markup in the catalog is not escaped. Use <Trans components> instead'
+        }
+      ]
+    },
+    {
+      code: 'el.innerHTML = t("promo")',
+      errors: sink('innerHTML')
+    },
+    {
+      code: 'el["outerHTML"] = i18next.t("promo") + suffix',
+      errors: sink('outerHTML')
+    },
+    {
+      code: 'el.insertAdjacentHTML("beforeend", `<p>${t("promo")}</p>`)',
+      errors: sink('insertAdjacentHTML')
+    },
+    {
+      code: 'document.write(loading ? spinner : t("promo"))',
+      errors: sink('document.write')
+    },
+    {
+      code: 'h("div", { innerHTML: t("promo") })',
+      errors: sink('innerHTML')
+    },
+    {
+      code: '<div innerHTML={t("promo")} />',
+      errors: sink('innerHTML')
+    },
+    // through variables
+    {
+      code:
+        'const html = t("promo"); <div dangerouslySetInnerHTML={{ __html: html }} />',
+      errors: sink('dangerouslySetInnerHTML')
+    },
+    {
+      code:
+        'let html = ""; if (a) { html = t("promo"); } const markup = { __html: html };',
+      errors: sink('dangerouslySetInnerHTML')
+    },
+    {
+      // promo is declared in the scope of load, not of the assignment
+      code:
+        'let html; function load() { const promo = t("promo"); html = promo; } el.innerHTML = html;',
+      errors: sink('innerHTML')
+    },
+    {
+      code: 'el.innerHTML = tr("promo")',
+      options: [{ translators: { functions: ['tr'] } }],
+      errors: sink('innerHTML')
+    },
+    {
+      code: 't("promo", { name, interpolation: { escapeValue: false } })',
+      errors: [
+        {
+          message:
+            'Translation interpolating values with escapeValue: false, markup in the values is not escaped. Use <Trans components> instead',
+          column: 37
+        }
+      ]
+    },
+    {
+      code:
+        't("promo", "Hi {{name}}", { interpolation: { escapeValue: false } })',
+      errors: [{ messageId: 'unescapedInterpolation' }]
+    }
+  ]
+});
+
+//
+// ─── VUE ────────────────────────────────────────────────────────────────────────
+//
+
+const vueTester = new RuleTester({
+  parser: 'vue-eslint-parser',
+  parserOptions: {
+    sourceType: 'module'
+  }
+});
+
+vueTester.run('no-unsafe-translation-html', rule, {
+  valid: [
+    { code: '<template><p>{{ $t("promo") }}</p></template>' },
+    { code: '<template><p v-html="markdown"></p></template>' }
+  ],
+  invalid: [
+    {
+      code: '<template><p v-html="$t(\'promo\')"></p></template>',
+      errors: [
+        {
+          message:
+            'Translation rendered as HTML by v-html, markup in the catalog is not escaped. Use <i18n-t> with slots instead'
+        }
+      ]
+    },
+    {
+      code:
+        '<template><p>{{ $t("promo", { interpolation: { escapeValue: false } }) }}</p></template>',
+      errors: [{ messageId: 'unescapedInterpolation' }]
+    }
+  ]
+});
+// ────────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview record reported literals into a baseline
+ * @author edvardchen
+ */
+'use strict';
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var writeBaseline = require('../../lib/write-baseline').writeBaseline,
+  removeDir = require('../tmp-dir').removeDir,
+  assert = require('assert'),
+  fs = require('fs'),
+  os = require('os'),
+  path = require('path');
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const fixtures = path.resolve(__dirname, '../fixtures/extract');
+const eslintOptions = {
+  useEslintrc: false,
+  parser: 'babel-eslint',
+  parserOptions: {
+    sourceType: 'module',
+    ecmaFeatures: {
+      jsx: true
+    }
+  }
+};
+
+describe('writeBaseline', function() {
+  this.timeout(10000);
+
+  let dir;
+  let output;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18next-baseline-'));
+    output = path.join(dir, 'i18next-baseline.json');
+  });
+
+  afterEach(() => removeDir(dir));
+
+  it('records reported literals by file and text', () => {
+    const relative = path
+      .relative(dir, path.join(fixtures, 'App.jsx'))
+      .split(path.sep)
+      .join('/');
+
+    const summary = writeBaseline([fixtures], { output, eslintOptions });
+
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(output, 'utf8')), {
+      [relative]: {
+        '"Close"': 1,
+        '`${user.first}${user.last()}`': 1,
+        '`Hello ${user.name}`': 1,
+        Close: 1,
+        'Welcome back': 1
+      }
+    });
+    assert.deepStrictEqual(summary, {
+      output,
+      files: 1,
+      literals: 5,
+      removed: []
+    });
+  });
+
+  it('creates the directory of the baseline', () => {
+    output = path.join(dir, 'lint/i18n/i18next-baseline.json');
+
+    writeBaseline([fixtures], { output, eslintOptions });
+
+    assert.strictEqual(fs.existsSync(output), true);
+  });
+
+  it('lists the files of the previous baseline which no longer exist', () => {
+    fs.writeFileSync(
+      output,
+      JSON.stringify({ 'Removed.jsx': { Hello: 1 }, 'Kept.jsx': { Bye: 1 } })
+    );
+    fs.writeFileSync(path.join(dir, 'Kept.jsx'), 'const kept = "Bye";\n');
+
+    const summary = writeBaseline([fixtures], { output, eslintOptions });
+
+    assert.deepStrictEqual(summary.removed, ['Removed.jsx']);
+    assert.strictEqual(
+      JSON.parse(fs.readFileSync(output, 'utf8'))['Removed.jsx'],
+      undefined
+    );
+  });
+
+  it('ignores the baseline the rule is configured with', () => {
+    fs.writeFileSync(output, '{}');
+
+    const summary = writeBaseline([fixtures], {
+      output,
+      eslintOptions: Object.assign({}, eslintOptions, {
+        plugins: ['i18next'],
+        rules: { 'i18next/no-literal-string': ['error', { baseline: output }] }
+      })
+    });
+
+    assert.strictEqual(summary.literals, 5);
+  });
+
+  it('fails on files which do not parse, without writing the baseline', () => {
+    const broken = path.join(dir, 'Broken.jsx');
+    fs.writeFileSync(broken, 'const App = () => <div>Hello</p>;\n');
+
+    assert.throws(
+      () => writeBaseline([broken], { output, eslintOptions }),
+      error => error.message.includes(`${broken}:1:`)
+    );
+    assert.strictEqual(fs.existsSync(output), false);
+  });
+});
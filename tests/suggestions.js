@@ -0,0 +1,55 @@
+/**
+ * @fileoverview suggestions of a rule, applied one by one
+ * @author edvardchen
+ */
+'use strict';
+
+const { Linter } = require('eslint');
+
+const fixer = {
+  insertTextAfter: (item, text) => ({
+    range: [item.range[1], item.range[1]],
+    text
+  }),
+  insertTextBefore: (item, text) => ({
+    range: [item.range[0], item.range[0]],
+    text
+  }),
+  replaceText: (item, text) => ({ range: item.range, text }),
+  replaceTextRange: (range, text) => ({ range, text })
+};
+
+// ESLint before 6.7 drops suggestions, so they are read from the reports
+function getSuggestions(rule, code, options, parser) {
+  const linter = new Linter();
+  const suggestions = [];
+  linter.defineRule('rule', {
+    meta: rule.meta,
+    create: context =>
+      rule.create(
+        Object.create(context, {
+          report: {
+            value: descriptor => suggestions.push(...(descriptor.suggest || []))
+          }
+        })
+      )
+  });
+  linter.verify(code, {
+    parser: parser || 'babel-eslint',
+    parserOptions: { sourceType: 'module', ecmaFeatures: { jsx: true } },
+    rules: { rule: [2].concat(options) }
+  });
+  return suggestions.map(suggestion => ({
+    desc: suggestion.desc,
+    output: []
+      .concat(suggestion.fix(fixer))
+      .sort((a, b) => b.range[0] - a.range[0])
+      .reduce(
+        (text, fix) =>
+          text.slice(0, fix.range[0]) + fix.text + text.slice(fix.range[1]),
+        code
+      )
+  }));
+}
+
+exports.getSuggestions = getSuggestions;
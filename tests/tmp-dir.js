@@ -0,0 +1,21 @@
+/**
+ * @fileoverview temporary directories of the tests
+ * @author edvardchen
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// fs.rmSync and the recursive option of fs.rmdirSync are missing in node 8
+function removeDir(dir) {
+  fs.readdirSync(dir).forEach(name => {
+    const file = path.join(dir, name);
+    // symlinks are removed, not followed
+    if (fs.lstatSync(file).isDirectory()) removeDir(file);
+    else fs.unlinkSync(file);
+  });
+  fs.rmdirSync(dir);
+}
+
+exports.removeDir = removeDir;